@@ -2,12 +2,55 @@
 const audioEngine = new EnvironmentalAudioEngine();
 
 let isRunning = false;
-let locationWatchId = null;
+let locationProvider = null;
+let importedRoute = null;
 let updateInterval = null;
 let weatherFetchInterval = null;
 
-// OpenWeatherMap API key - get your free key at https://openweathermap.org/api
-const WEATHER_API_KEY = 'f021a3fc34dd1d322df919d299a246c6';
+// Session recording / replay
+const sessionRecorder = new SessionRecorder();
+let sessionReplay = null;
+
+// Multitrack stems of the live audio (see stem-recorder.js)
+const stemRecorder = new StemRecorder();
+let stemInterval = null;
+
+// User settings, kept in localStorage
+const SETTINGS_KEY = 'environmental-sines-settings';
+const WEATHER_CACHE_KEY = 'environmental-sines-weather';
+const settings = loadSettings();
+
+// Ground elevation for devices that report no altitude (see terrain.js)
+const terrain = new TerrainModel();
+
+// GPS smoothing and accuracy gate (see location-filter.js)
+const locationFilter = new LocationFilter({ maxAccuracy: settings.gpsMaxAccuracy, terrain });
+
+// When the compass last reported; without one, course over ground is the heading
+let lastCompassTime = null;
+
+// Step cadence, shakes and tilt from the motion sensors (see motion-sensor.js).
+// They report far faster than the engine needs, so updates are spaced out.
+const MOTION_UPDATE_INTERVAL = 100; // ms
+const motionAnalyzer = new MotionAnalyzer();
+let lastMotionUpdate = 0;
+
+// Loudness, brightness and pitch of the room (see microphone.js), measured
+// this often while the microphone is on
+const MIC_UPDATE_INTERVAL = 100; // ms
+const microphone = new MicrophoneAnalyzer();
+let micInterval = null;
+
+// Voices the Frequencies panel has rows for (their layout as JSON), so the
+// panel is only rebuilt when the patch's groups change
+let shownVoices = null;
+// The latest paramsUpdate frequencies, shown on the next animation frame:
+// orientation alone updates the engine about 60 times a second
+let pendingFrequencies = null;
+
+// Weather source (see weather-providers.js) and the last good reading
+let weatherProvider = createWeatherProvider();
+let lastWeather = loadStoredJSON(WEATHER_CACHE_KEY);
 
 // Current environmental data
 let currentData = {
@@ -17,8 +60,24 @@ let currentData = {
     temperature: 20,
     humidity: 50,
     heading: 0,
+    altitude: null, // meters; null until known
+    climbRate: 0, // m/s
+    ascent: 0, // meters climbed since starting
+    cadence: null, // steps per minute; this and the rest of the motion stay null without a sensor
+    shake: null, // 0-1
+    tiltForward: null, // degrees: 0 flat, 90 upright
+    tiltSide: null, // degrees: negative left, positive right
+    micLevel: null, // dB; this and the rest of the microphone stay null while it's off
+    micCentroid: null, // Hz
+    micPitch: null, // Hz; null when there's no clear pitch
     weatherDescription: '',
-    timeOfDay: 0.5
+    windSpeed: null, // m/s; this and the rest of the weather stay null until a reading arrives
+    windDirection: null,
+    pressure: null,
+    cloudCover: null,
+    precipitation: null,
+    timeOfDay: 0.5,
+    timestamp: Date.now()
 };
 
 // DOM elements
@@ -28,92 +87,230 @@ const latEl = document.getElementById('lat');
 const lonEl = document.getElementById('lon');
 const speedEl = document.getElementById('speed');
 const headingEl = document.getElementById('heading');
+const altitudeEl = document.getElementById('altitude');
+const climbEl = document.getElementById('climb');
+const terrainFileInput = document.getElementById('terrainFile');
+const terrainInfoEl = document.getElementById('terrainInfo');
 const tempEl = document.getElementById('temp');
 const weatherEl = document.getElementById('weather');
+const windEl = document.getElementById('wind');
+const pressureEl = document.getElementById('pressure');
+const cloudsEl = document.getElementById('clouds');
+const weatherProviderSelect = document.getElementById('weatherProvider');
+const weatherKeyRowEl = document.getElementById('weatherKeyRow');
+const weatherApiKeyInput = document.getElementById('weatherApiKey');
 const timeEl = document.getElementById('time');
+const sunEl = document.getElementById('sun');
+const sunTimesEl = document.getElementById('sunTimes');
+const moonEl = document.getElementById('moon');
+const moonPhaseEl = document.getElementById('moonPhase');
+const gpsRawEl = document.getElementById('gpsRaw');
+const gpsRawMotionEl = document.getElementById('gpsRawMotion');
+const gpsFilteredEl = document.getElementById('gpsFiltered');
+const gpsMotionEl = document.getElementById('gpsMotion');
+const gpsAltitudeEl = document.getElementById('gpsAltitude');
+const gpsFixesEl = document.getElementById('gpsFixes');
+const gpsMaxAccuracyInput = document.getElementById('gpsMaxAccuracy');
+const cadenceEl = document.getElementById('cadence');
+const shakeEl = document.getElementById('shake');
+const tiltEl = document.getElementById('tilt');
+const micBtn = document.getElementById('micBtn');
+const micLevelEl = document.getElementById('micLevel');
+const micCentroidEl = document.getElementById('micCentroid');
+const micPitchEl = document.getElementById('micPitch');
+const recordBtn = document.getElementById('recordBtn');
+const downloadSessionBtn = document.getElementById('downloadSessionBtn');
+const recordStatusEl = document.getElementById('recordStatus');
+const stemsBtn = document.getElementById('stemsBtn');
+const downloadStemsBtn = document.getElementById('downloadStemsBtn');
+const stemFormatSelect = document.getElementById('stemFormat');
+const stemStatusEl = document.getElementById('stemStatus');
+const sessionFileInput = document.getElementById('sessionFile');
+const replayBtn = document.getElementById('replayBtn');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replaySeek = document.getElementById('replaySeek');
+const replayPositionEl = document.getElementById('replayPosition');
+const seedStatusEl = document.getElementById('seedStatus');
+const seedInput = document.getElementById('seedInput');
+const keepSeedBtn = document.getElementById('keepSeedBtn');
+const clearSeedBtn = document.getElementById('clearSeedBtn');
+const locationSourceSelect = document.getElementById('locationSource');
+const routeOptionsEl = document.getElementById('routeOptions');
+const routeFileInput = document.getElementById('routeFile');
+const routeSpeedInput = document.getElementById('routeSpeed');
+const routeInfoEl = document.getElementById('routeInfo');
+const freqGridEl = document.getElementById('freqGrid');
+const patchNameEl = document.getElementById('patchName');
+const patchFileInput = document.getElementById('patchFile');
+const downloadPatchBtn = document.getElementById('downloadPatchBtn');
+const resetPatchBtn = document.getElementById('resetPatchBtn');
+const chordMapNameEl = document.getElementById('chordMapName');
+const chordInfoEl = document.getElementById('chordInfo');
+const chordInterpolationSelect = document.getElementById('chordInterpolation');
+const chordMapFileInput = document.getElementById('chordMapFile');
+const downloadChordMapBtn = document.getElementById('downloadChordMapBtn');
+const resetChordMapBtn = document.getElementById('resetChordMapBtn');
+const spatialLayoutNameEl = document.getElementById('spatialLayoutName');
+const spatialModeSelect = document.getElementById('spatialMode');
+const landmarkInput = document.getElementById('landmarkInput');
+const landmarkHereBtn = document.getElementById('landmarkHereBtn');
+const spatialLayoutFileInput = document.getElementById('spatialLayoutFile');
+const downloadSpatialLayoutBtn = document.getElementById('downloadSpatialLayoutBtn');
+const resetSpatialLayoutBtn = document.getElementById('resetSpatialLayoutBtn');
+const reverbSpaceSelect = document.getElementById('reverbSpace');
+const impulseFileInput = document.getElementById('impulseFile');
+const clearImpulseBtn = document.getElementById('clearImpulseBtn');
+const reverbInfoEl = document.getElementById('reverbInfo');
+const volumeInput = document.getElementById('volume');
+const volumeInfoEl = document.getElementById('volumeInfo');
+const masterCeilingSelect = document.getElementById('masterCeiling');
+const loudnessTargetSelect = document.getElementById('loudnessTarget');
+const saturationSelect = document.getElementById('saturation');
+const loudnessInfoEl = document.getElementById('loudnessInfo');
+const masterGainInfoEl = document.getElementById('masterGainInfo');
+const zonesInfoEl = document.getElementById('zonesInfo');
+const activeZoneEl = document.getElementById('activeZone');
+const zonesFileInput = document.getElementById('zonesFile');
+const clearZonesBtn = document.getElementById('clearZonesBtn');
+const tuningSystemSelect = document.getElementById('tuningSystem');
+const tuningRootSelect = document.getElementById('tuningRoot');
+const tuningScaleSelect = document.getElementById('tuningScale');
+const tuningGlideInput = document.getElementById('tuningGlide');
+const scalaOptionsEl = document.getElementById('scalaOptions');
+const sclFileInput = document.getElementById('sclFile');
+const kbmFileInput = document.getElementById('kbmFile');
+const tuningInfoEl = document.getElementById('tuningInfo');
+const visualizerViewSelect = document.getElementById('visualizerView');
+const visualizerCanvas = document.getElementById('visualizer');
+const clearTrailBtn = document.getElementById('clearTrailBtn');
+
+// Spectrum, voice and map display (see visualizer.js)
+const visualizer = new Visualizer(visualizerCanvas, audioEngine);
 
 // Initialize
 toggleBtn.addEventListener('click', toggleAudio);
+recordBtn.addEventListener('click', toggleRecording);
+downloadSessionBtn.addEventListener('click', downloadSession);
+stemsBtn.addEventListener('click', toggleStems);
+downloadStemsBtn.addEventListener('click', downloadStems);
+stemRecorder.onFull = stopStems;
+stemFormatSelect.addEventListener('change', () => {
+    settings.stemBitDepth = Number(stemFormatSelect.value);
+    storeJSON(SETTINGS_KEY, settings);
+});
+sessionFileInput.addEventListener('change', loadSessionFile);
+replayBtn.addEventListener('click', toggleReplay);
+replaySpeedSelect.addEventListener('change', () => {
+    if (sessionReplay) sessionReplay.speed = Number(replaySpeedSelect.value);
+});
+replaySeek.addEventListener('input', () => {
+    if (sessionReplay) seekReplay(Number(replaySeek.value));
+});
+seedInput.addEventListener('change', onSeedChange);
+keepSeedBtn.addEventListener('click', () => applySeed(audioEngine.activeSeed));
+clearSeedBtn.addEventListener('click', () => applySeed(null));
+locationSourceSelect.addEventListener('change', onLocationSourceChange);
+gpsMaxAccuracyInput.addEventListener('change', onGpsSettingsChange);
+terrainFileInput.addEventListener('change', loadTerrainFile);
+micBtn.addEventListener('click', toggleMicrophone);
+routeFileInput.addEventListener('change', loadRouteFile);
+patchFileInput.addEventListener('change', loadPatchFile);
+downloadPatchBtn.addEventListener('click', downloadPatch);
+resetPatchBtn.addEventListener('click', () => applyPatch(DEFAULT_PATCH));
+chordMapFileInput.addEventListener('change', loadChordMapFile);
+chordInterpolationSelect.addEventListener('change', () => {
+    applyChordMap({ ...audioEngine.chordMap, interpolation: chordInterpolationSelect.value });
+});
+downloadChordMapBtn.addEventListener('click', downloadChordMap);
+resetChordMapBtn.addEventListener('click', () => applyChordMap(DEFAULT_CHORD_MAP));
+spatialModeSelect.addEventListener('change', () => {
+    applySpatialLayout({ ...audioEngine.spatialLayout, mode: spatialModeSelect.value });
+});
+landmarkInput.addEventListener('change', onLandmarkChange);
+landmarkHereBtn.addEventListener('click', () => {
+    setLandmark({ label: 'Here', latitude: currentData.latitude, longitude: currentData.longitude });
+});
+spatialLayoutFileInput.addEventListener('change', loadSpatialLayoutFile);
+downloadSpatialLayoutBtn.addEventListener('click', downloadSpatialLayout);
+resetSpatialLayoutBtn.addEventListener('click', () => applySpatialLayout(DEFAULT_SPATIAL_LAYOUT));
+reverbSpaceSelect.addEventListener('change', () => applyReverbSpace(reverbSpaceSelect.value));
+impulseFileInput.addEventListener('change', loadImpulseFile);
+clearImpulseBtn.addEventListener('click', clearImpulse);
+volumeInput.addEventListener('input', onOutputChange);
+[masterCeilingSelect, loudnessTargetSelect, saturationSelect].forEach(control => {
+    control.addEventListener('change', onOutputChange);
+});
+zonesFileInput.addEventListener('change', loadZonesFile);
+clearZonesBtn.addEventListener('click', () => applyZones([], 'None loaded'));
+weatherProviderSelect.addEventListener('change', onWeatherSettingsChange);
+weatherApiKeyInput.addEventListener('change', onWeatherSettingsChange);
+[tuningSystemSelect, tuningRootSelect, tuningScaleSelect, tuningGlideInput].forEach(control => {
+    control.addEventListener('change', onTuningChange);
+});
+sclFileInput.addEventListener('change', loadScalaFile);
+visualizerViewSelect.addEventListener('change', () => applyVisualizerView(visualizerViewSelect.value));
+clearTrailBtn.addEventListener('click', () => visualizer.clearTrail());
+window.addEventListener('resize', () => {
+    visualizer.resize();
+    visualizer.draw();
+});
+kbmFileInput.addEventListener('change', loadKeyboardMappingFile);
 
-audioEngine.onFrequencyUpdate = (frequencies) => {
-    frequencies.forEach((freq, i) => {
-        const freqEl = document.getElementById(`freq${i}`);
-        if (freqEl) {
-            freqEl.textContent = `${freq.toFixed(1)} Hz`;
-        }
-    });
-};
+audioEngine.on('paramsUpdate', ({ frequencies }) => {
+    if (pendingFrequencies === null) requestAnimationFrame(showFrequencies);
+    pendingFrequencies = frequencies;
+});
+// The voices only change when the engine starts or its patch changes
+audioEngine.on('stateChange', () => {
+    if (audioEngine.isRunning) showVoices(audioEngine.voiceLayout);
+});
+
+audioEngine.on('chordChange', showChord);
+audioEngine.onZoneChange = showActiveZones;
+audioEngine.onMasterMeter = showMasterMeter;
 
 async function toggleAudio() {
     if (!isRunning) {
         await startAudio();
     } else {
-        stopAudio();
+        await stopAudio();
     }
 }
 
-async function startAudio() {
+// useLiveSources = false starts only the engine (for session replay)
+async function startAudio(useLiveSources = true) {
     try {
         // Start audio engine FIRST (iOS requires this from direct user tap)
         statusEl.textContent = 'Starting audio...';
         statusEl.classList.add('active');
         await audioEngine.start();
+        showSeed();
+        showReverb();
+        showMasterMeter(audioEngine.masterBus.getMeter());
+        visualizer.start();
         
-        // Request location permission AFTER audio is initialized
-        if (!navigator.geolocation) {
-            alert('Geolocation not supported by your browser');
+        // A recording started before the engine takes the seed it starts with
+        if (sessionRecorder.isRecording && sessionRecorder.seed === null) {
+            sessionRecorder.seed = audioEngine.activeSeed;
+        }
+        
+        if (useLiveSources && !startLiveSources()) {
             audioEngine.stop();
             statusEl.classList.remove('active');
             return;
         }
         
-        statusEl.textContent = 'Getting location...';
-        
-        // Start location tracking
-        locationWatchId = navigator.geolocation.watchPosition(
-            onLocationUpdate,
-            onLocationError,
-            {
-                enableHighAccuracy: true,
-                maximumAge: 0,
-                timeout: 5000
-            }
-        );
-        
-        // Track device orientation for compass heading
-        if (window.DeviceOrientationEvent) {
-            // iOS 13+ requires permission request
-            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-                DeviceOrientationEvent.requestPermission()
-                    .then(permissionState => {
-                        if (permissionState === 'granted') {
-                            window.addEventListener('deviceorientation', onOrientationChange);
-                        } else {
-                            console.log('Device orientation permission denied');
-                            headingEl.textContent = 'Permission denied';
-                        }
-                    })
-                    .catch(console.error);
-            } else {
-                // Non-iOS or older iOS - no permission needed
-                window.addEventListener('deviceorientation', onOrientationChange);
-            }
-        } else {
-            headingEl.textContent = 'Not supported';
+        // The room's sound is a live source too, but optional
+        if (useLiveSources && settings.microphone) {
+            startMicrophone();
         }
         
-        // Update time of day every second
-        updateInterval = setInterval(updateTimeOfDay, 1000);
-        
-        // Fetch weather every 5 minutes
-        fetchWeather();
-        weatherFetchInterval = setInterval(fetchWeather, 5 * 60 * 1000);
-        
         // Update UI
         toggleBtn.textContent = 'Stop';
         toggleBtn.classList.remove('btn-start');
         toggleBtn.classList.add('btn-stop');
-        statusEl.textContent = 'Running';
+        statusEl.textContent = useLiveSources ? 'Running' : 'Replaying';
+        stemsBtn.disabled = !StemRecorder.isSupported();
         
         isRunning = true;
         
@@ -124,20 +321,251 @@ async function startAudio() {
     }
 }
 
-function stopAudio() {
+function startLiveSources() {
+    // Request location permission AFTER audio is initialized
+    locationProvider = createLocationProvider();
+    if (!locationProvider) {
+        return false;
+    }
+    
+    statusEl.textContent = 'Getting location...';
+    
+    // Start location tracking
+    locationFilter.reset();
+    lastCompassTime = null;
+    locationProvider.start(onLocationUpdate, onLocationError);
+    
+    // Track device orientation for compass heading
+    // (a simulated route supplies its own heading with each position)
+    if (!locationProvider.providesHeading) {
+        startCompass();
+    }
+    
+    // Footsteps, shakes and tilt, whatever the location source
+    startMotion();
+    
+    // Update time of day every second
+    updateInterval = setInterval(updateTimeOfDay, 1000);
+    
+    // Fetch weather every 5 minutes
+    fetchWeather();
+    weatherFetchInterval = setInterval(fetchWeather, 5 * 60 * 1000);
+    
+    return true;
+}
+
+async function stopAudio() {
+    // Stems take their last samples from the engine before it closes
+    if (stemRecorder.isRecording) await stopStems();
+    stemsBtn.disabled = true;
+    
+    // The microphone listens on the engine's audio context, so it goes first
+    stopMicrophone();
+    
     // Stop audio
     audioEngine.stop();
+    showActiveZones([]);
+    showChord(null);
+    showMasterMeter(null);
+    visualizer.stop();
+    
+    stopLiveSources();
+    
+    if (sessionReplay) {
+        sessionReplay.pause();
+        replayBtn.textContent = 'Play';
+    }
+    
+    // Update UI
+    toggleBtn.textContent = 'Start';
+    toggleBtn.classList.remove('btn-stop');
+    toggleBtn.classList.add('btn-start');
+    statusEl.textContent = 'Stopped';
+    statusEl.classList.remove('active');
+    
+    isRunning = false;
+}
+
+function startCompass() {
+    if (window.DeviceOrientationEvent) {
+        addSensorListener(DeviceOrientationEvent, 'deviceorientation', onOrientationChange, () => {
+            console.log('Device orientation permission denied');
+            headingEl.textContent = 'Permission denied';
+        });
+    } else {
+        headingEl.textContent = 'Not supported';
+    }
+}
+
+function startMotion() {
+    motionAnalyzer.reset();
+    
+    if (window.DeviceMotionEvent) {
+        const onDenied = () => {
+            console.log('Device motion permission denied');
+            cadenceEl.textContent = 'Permission denied';
+        };
+        addSensorListener(DeviceMotionEvent, 'devicemotion', onMotion, onDenied);
+        
+        // Tilt comes with the orientation events, which the compass may not be listening to
+        if (window.DeviceOrientationEvent) {
+            addSensorListener(DeviceOrientationEvent, 'deviceorientation', onTiltChange, onDenied);
+        }
+    } else {
+        cadenceEl.textContent = 'Not supported';
+    }
+}
+
+function stopMotion() {
+    window.removeEventListener('devicemotion', onMotion);
+    window.removeEventListener('deviceorientation', onTiltChange);
+    
+    // No stale readings carried into the next run
+    currentData.cadence = null;
+    currentData.shake = null;
+    currentData.tiltForward = null;
+    currentData.tiltSide = null;
+    showMotion();
+}
+
+// Microphone
+
+async function toggleMicrophone() {
+    settings.microphone = !settings.microphone;
+    storeJSON(SETTINGS_KEY, settings);
+    
+    if (!settings.microphone) {
+        stopMicrophone();
+    } else if (isRunning) {
+        await startMicrophone();
+    } else {
+        showMicrophone();
+    }
+}
+
+async function startMicrophone() {
+    if (!MicrophoneAnalyzer.isSupported()) {
+        settings.microphone = false;
+        showMicrophone();
+        micLevelEl.textContent = 'Not supported';
+        return;
+    }
+    
+    try {
+        micLevelEl.textContent = 'Starting...';
+        await microphone.start(audioEngine.audioContext);
+        micInterval = setInterval(analyzeMicrophone, MIC_UPDATE_INTERVAL);
+        showMicrophone();
+    } catch (error) {
+        console.error('Microphone error:', error);
+        settings.microphone = false;
+        storeJSON(SETTINGS_KEY, settings);
+        showMicrophone();
+        micLevelEl.textContent = error.name === 'NotAllowedError' ? 'Permission denied' : 'Error: ' + error.message;
+    }
+}
+
+function stopMicrophone() {
+    const wasListening = micInterval !== null;
+    if (micInterval) {
+        clearInterval(micInterval);
+        micInterval = null;
+    }
+    microphone.stop();
+    
+    currentData.micLevel = null;
+    currentData.micCentroid = null;
+    currentData.micPitch = null;
+    showMicrophone();
     
+    if (isRunning && wasListening) {
+        updateAudioEngine();
+    }
+}
+
+function analyzeMicrophone() {
+    // Leaves out what the engine itself is playing, in case the speakers
+    // get past echo cancellation
+    const values = microphone.analyze(audioEngine.getPlayingFrequencies());
+    
+    currentData.micLevel = values.level;
+    currentData.micCentroid = values.centroid;
+    currentData.micPitch = values.pitch;
+    
+    showMicrophone();
+    updateAudioEngine();
+}
+
+function showMicrophone() {
+    micBtn.textContent = settings.microphone ? 'Disable Microphone' : 'Enable Microphone';
+    
+    if (currentData.micLevel === null) {
+        micLevelEl.textContent = settings.microphone ? 'Starts with audio' : 'Off';
+        micCentroidEl.textContent = '--';
+        micPitchEl.textContent = '--';
+        return;
+    }
+    
+    micLevelEl.textContent = `${currentData.micLevel.toFixed(0)} dB`;
+    micCentroidEl.textContent = currentData.micCentroid === null ? '--' : `${currentData.micCentroid.toFixed(0)} Hz`;
+    micPitchEl.textContent = currentData.micPitch === null ? 'None' : `${currentData.micPitch.toFixed(1)} Hz`;
+}
+
+function addSensorListener(SensorEvent, type, listener, onDenied) {
+    // iOS 13+ requires permission request
+    if (typeof SensorEvent.requestPermission === 'function') {
+        SensorEvent.requestPermission()
+            .then(permissionState => {
+                if (permissionState === 'granted') {
+                    window.addEventListener(type, listener);
+                } else {
+                    onDenied();
+                }
+            })
+            .catch(console.error);
+    } else {
+        // Non-iOS or older iOS - no permission needed
+        window.addEventListener(type, listener);
+    }
+}
+
+function createLocationProvider() {
+    if (locationSourceSelect.value === 'route') {
+        if (!importedRoute) {
+            alert('Choose a route file first');
+            return null;
+        }
+        
+        const provider = new RouteLocationProvider(importedRoute, {
+            speed: Number(routeSpeedInput.value) / 3.6 // km/h to m/s
+        });
+        provider.onEnd = () => {
+            statusEl.textContent = 'Route finished';
+        };
+        return provider;
+    }
+    
+    if (!GeolocationProvider.isSupported()) {
+        alert('Geolocation not supported by your browser');
+        return null;
+    }
+    
+    return new GeolocationProvider();
+}
+
+function stopLiveSources() {
     // Stop location tracking
-    if (locationWatchId !== null) {
-        navigator.geolocation.clearWatch(locationWatchId);
-        locationWatchId = null;
+    if (locationProvider) {
+        locationProvider.stop();
+        locationProvider = null;
     }
     
-    // Remove orientation listener
+    // Remove orientation and motion listeners
     if (window.DeviceOrientationEvent) {
         window.removeEventListener('deviceorientation', onOrientationChange);
     }
+    stopMotion();
+    stopMicrophone();
     
     // Stop intervals
     if (updateInterval) {
@@ -149,23 +577,40 @@ function stopAudio() {
         clearInterval(weatherFetchInterval);
         weatherFetchInterval = null;
     }
-    
-    // Update UI
-    toggleBtn.textContent = 'Start';
-    toggleBtn.classList.remove('btn-stop');
-    toggleBtn.classList.add('btn-start');
-    statusEl.textContent = 'Stopped';
-    statusEl.classList.remove('active');
-    
-    isRunning = false;
 }
 
 function onLocationUpdate(position) {
-    currentData.latitude = position.coords.latitude;
-    currentData.longitude = position.coords.longitude;
-    currentData.speed = position.coords.speed || 0;
+    const fix = locationFilter.update(position);
+    showGpsDebug(fix);
+    
+    // Too inaccurate: keep the last good position
+    if (!fix) return;
+    
+    currentData.latitude = fix.latitude;
+    currentData.longitude = fix.longitude;
+    currentData.speed = fix.speed;
+    if (fix.altitude !== null) {
+        currentData.altitude = fix.altitude;
+        currentData.climbRate = fix.climbRate;
+        currentData.ascent = fix.ascent;
+    }
+    
+    // Simulated routes stand in for the compass, and so does the direction
+    // of travel on devices without one
+    const useCourse = (locationProvider && locationProvider.providesHeading) || !hasCompass();
+    if (useCourse && fix.course !== null) {
+        applyHeading(fix.course);
+    }
     
     // Update UI
+    showLocation();
+    visualizer.addPosition(currentData.latitude, currentData.longitude, currentData.heading);
+    
+    // Update audio engine
+    updateAudioEngine();
+}
+
+function showLocation() {
     latEl.textContent = `${currentData.latitude.toFixed(4)}°`;
     lonEl.textContent = `${currentData.longitude.toFixed(4)}°`;
     
@@ -173,8 +618,47 @@ function onLocationUpdate(position) {
     const speedMph = currentData.speed * 2.237;
     speedEl.textContent = `${speedMph.toFixed(1)} mph`;
     
-    // Update audio engine
-    updateAudioEngine();
+    if (currentData.altitude === null) {
+        altitudeEl.textContent = '--';
+        climbEl.textContent = '--';
+    } else {
+        const source = locationFilter.altitudeSource === 'terrain' ? ' (terrain)' : '';
+        const climb = currentData.climbRate;
+        altitudeEl.textContent = `${currentData.altitude.toFixed(0)} m${source}`;
+        climbEl.textContent = `${climb >= 0 ? '+' : ''}${climb.toFixed(2)} m/s, ${currentData.ascent.toFixed(0)} m total`;
+    }
+}
+
+function showGpsDebug(fix) {
+    const raw = locationFilter.raw;
+    const format = value => value === null ? '--' : value.toFixed(1);
+    
+    gpsRawEl.textContent = `${raw.latitude.toFixed(6)}, ${raw.longitude.toFixed(6)} ±${format(raw.accuracy)} m`;
+    gpsRawMotionEl.textContent = `${format(raw.speed)} m/s / ${raw.heading === null ? '--' : raw.heading.toFixed(0) + '°'}`;
+    gpsAltitudeEl.textContent = raw.altitude === null ? 'none (terrain fallback)' : `${format(raw.altitude)} m ±${format(raw.altitudeAccuracy)} m`;
+    
+    if (fix) {
+        gpsFilteredEl.textContent = `${fix.latitude.toFixed(6)}, ${fix.longitude.toFixed(6)} ±${fix.accuracy.toFixed(1)} m`;
+        const course = fix.course === null ? '--' : `${fix.course.toFixed(0)}°`;
+        gpsMotionEl.textContent = `${fix.speed.toFixed(1)} m/s (${fix.speedSource || 'none'}) / ${course}`;
+    }
+    
+    const rejection = locationFilter.lastRejection ? ` - last rejected: ${locationFilter.lastRejection}` : '';
+    gpsFixesEl.textContent = `${locationFilter.accepted} used, ${locationFilter.rejected} rejected${rejection}`;
+}
+
+function onGpsSettingsChange() {
+    const maxAccuracy = Number(gpsMaxAccuracyInput.value);
+    if (!(maxAccuracy > 0)) return;
+    
+    settings.gpsMaxAccuracy = maxAccuracy;
+    locationFilter.maxAccuracy = maxAccuracy;
+    storeJSON(SETTINGS_KEY, settings);
+}
+
+function hasCompass() {
+    // Heard from it in the last few seconds
+    return lastCompassTime !== null && performance.now() - lastCompassTime < 3000;
 }
 
 function onLocationError(error) {
@@ -191,8 +675,54 @@ function onOrientationChange(event) {
     // Get compass heading
     // alpha = compass heading (0-360, 0 = North)
     // Need to handle both absolute and relative compass
-    let heading = event.webkitCompassHeading || event.alpha || 0;
+    const heading = typeof event.webkitCompassHeading === 'number' ? event.webkitCompassHeading : event.alpha;
+    
+    // No compass (alpha is null): course over ground stands in
+    if (typeof heading !== 'number') return;
+    lastCompassTime = performance.now();
+    
+    applyHeading(heading);
+    
+    // Update audio engine
+    updateAudioEngine();
+}
+
+function onMotion(event) {
+    if (motionAnalyzer.update(event, event.timeStamp)) {
+        onMotionChange();
+    }
+}
+
+function onTiltChange(event) {
+    if (motionAnalyzer.updateTilt(event.beta, event.gamma)) {
+        onMotionChange();
+    }
+}
+
+function onMotionChange() {
+    // Fast enough for a step or a shake to be heard at once
+    const now = performance.now();
+    if (now - lastMotionUpdate < MOTION_UPDATE_INTERVAL) return;
+    lastMotionUpdate = now;
+    
+    currentData.cadence = motionAnalyzer.cadence;
+    currentData.shake = motionAnalyzer.shake;
+    currentData.tiltForward = motionAnalyzer.tiltForward;
+    currentData.tiltSide = motionAnalyzer.tiltSide;
+    
+    showMotion();
+    updateAudioEngine();
+}
+
+function showMotion() {
+    const format = (value, digits, unit) => value === null ? '--' : `${value.toFixed(digits)}${unit}`;
     
+    cadenceEl.textContent = format(currentData.cadence, 0, ' steps/min');
+    shakeEl.textContent = format(currentData.shake, 2, '');
+    tiltEl.textContent = `${format(currentData.tiltForward, 0, '°')} / ${format(currentData.tiltSide, 0, '°')}`;
+}
+
+function applyHeading(heading) {
     // Normalize to 0-360
     if (heading < 0) heading += 360;
     if (heading >= 360) heading -= 360;
@@ -200,12 +730,17 @@ function onOrientationChange(event) {
     currentData.heading = heading;
     
     // Update UI
+    showHeading();
+}
+
+function showHeading() {
+    const heading = currentData.heading;
+    headingEl.textContent = `${heading.toFixed(0)}° (${compassPoint(heading)})`;
+}
+
+function compassPoint(degrees) {
     const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-    const dirIndex = Math.round(heading / 45) % 8;
-    headingEl.textContent = `${heading.toFixed(0)}° (${directions[dirIndex]})`;
-    
-    // Update audio engine
-    updateAudioEngine();
+    return directions[Math.round(degrees / 45) % 8];
 }
 
 function updateTimeOfDay() {
@@ -216,63 +751,918 @@ function updateTimeOfDay() {
     
     // Convert to 0.0-1.0 scale (0 = midnight, 0.5 = noon)
     currentData.timeOfDay = (hours + minutes / 60 + seconds / 3600) / 24;
+    currentData.timestamp = now.getTime();
     
     // Update UI
     timeEl.textContent = now.toLocaleTimeString();
+    showSun();
+    showMoon();
     
     // Update audio engine
     updateAudioEngine();
 }
 
 async function fetchWeather() {
-    if (WEATHER_API_KEY === 'YOUR_API_KEY_HERE') {
-        console.log('Weather API key not set');
-        weatherEl.textContent = 'API key needed';
-        return;
-    }
+    const provider = weatherProvider;
     
-    if (!currentData.latitude || !currentData.longitude) {
+    if (provider.needsLocation && (!currentData.latitude || !currentData.longitude)) {
         return;
     }
     
     try {
-        const url = `https://api.openweathermap.org/data/2.5/weather?lat=${currentData.latitude}&lon=${currentData.longitude}&appid=${WEATHER_API_KEY}&units=metric`;
+        const reading = await provider.fetchReading(currentData.latitude, currentData.longitude);
         
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error('Weather fetch failed');
-        }
+        // Settings changed while this request was in flight
+        if (provider !== weatherProvider) return;
         
-        const data = await response.json();
-        currentData.temperature = data.main.temp;
-        currentData.humidity = data.main.humidity; // Add humidity
-        currentData.weatherDescription = data.weather[0].description;
+        lastWeather = reading;
+        storeJSON(WEATHER_CACHE_KEY, reading);
+        applyWeather(reading);
         
-        // Update UI
-        tempEl.textContent = `${currentData.temperature.toFixed(1)}°C`;
+    } catch (error) {
+        console.error('Weather fetch error:', error);
+        if (provider !== weatherProvider) return;
+        
+        // Keep playing with the last good reading rather than dropping back to defaults
+        if (lastWeather) {
+            applyWeather(lastWeather);
+            const age = new Date(lastWeather.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            weatherEl.textContent += ` - cached ${age}`;
+        } else {
+            weatherEl.textContent = error.message === 'API key needed' ? 'API key needed' : 'Weather unavailable';
+        }
+    }
+}
+
+function applyWeather(reading) {
+    if (reading.temperature !== null) currentData.temperature = reading.temperature;
+    if (reading.humidity !== null) currentData.humidity = reading.humidity;
+    currentData.weatherDescription = reading.description;
+    currentData.windSpeed = reading.windSpeed;
+    currentData.windDirection = reading.windDirection;
+    currentData.pressure = reading.pressure;
+    currentData.cloudCover = reading.cloudCover;
+    currentData.precipitation = reading.precipitation;
+    
+    // Update audio engine (first, so the pressure trend includes this reading)
+    updateAudioEngine();
+    
+    // Update UI
+    showWeather();
+}
+
+function showWeather() {
+    tempEl.textContent = `${currentData.temperature.toFixed(1)}°C`;
+    if (currentData.weatherDescription) {
         weatherEl.textContent = currentData.weatherDescription.charAt(0).toUpperCase() + 
                                currentData.weatherDescription.slice(1) + 
                                ` (${currentData.humidity}% humid)`;
-        
-        // Update audio engine
-        updateAudioEngine();
+    }
+    
+    if (currentData.windSpeed !== null) {
+        const from = currentData.windDirection !== null
+            ? ` from ${compassPoint(currentData.windDirection)}`
+            : '';
+        windEl.textContent = `${currentData.windSpeed.toFixed(1)} m/s${from}`;
+    }
+    
+    if (currentData.pressure !== null) {
+        const trend = audioEngine.pressureTrend;
+        let direction = 'steady';
+        if (trend !== null && trend <= -1) direction = 'falling';
+        if (trend !== null && trend >= 1) direction = 'rising';
+        pressureEl.textContent = `${currentData.pressure.toFixed(0)} hPa, ${direction}`;
+    }
+    
+    if (currentData.cloudCover !== null || currentData.precipitation !== null) {
+        const clouds = currentData.cloudCover !== null ? `${currentData.cloudCover.toFixed(0)}% cloud` : '--';
+        const rain = currentData.precipitation ? `, ${currentData.precipitation.toFixed(1)} mm/h` : ', dry';
+        cloudsEl.textContent = clouds + rain;
+    }
+}
+
+function showSun() {
+    const date = new Date(currentData.timestamp);
+    const sun = getSunPosition(date, currentData.latitude, currentData.longitude);
+    const times = getSunTimes(date, currentData.latitude, currentData.longitude);
+    
+    sunEl.textContent = `${sun.elevation.toFixed(1)}° el, ${sun.azimuth.toFixed(0)}° az (${getTwilightPhase(sun.elevation)})`;
+    
+    const formatEvent = time => time
+        ? time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : '--';
+    if (times.sunrise) {
+        sunTimesEl.textContent = `${formatEvent(times.sunrise)} / ${formatEvent(times.sunset)}`;
+    } else {
+        // Sun never crosses the horizon today
+        sunTimesEl.textContent = sun.elevation > 0 ? 'Polar day' : 'Polar night';
+    }
+}
+
+function showMoon() {
+    const date = new Date(currentData.timestamp);
+    const moon = getMoonPosition(date, currentData.latitude, currentData.longitude);
+    const illumination = getMoonIllumination(date);
+    
+    moonEl.textContent = `${moon.elevation.toFixed(1)}° el, ${moon.azimuth.toFixed(0)}° az`;
+    moonPhaseEl.textContent = `${(illumination.fraction * 100).toFixed(0)}% (${getMoonPhaseName(illumination.phase)})`;
+}
+
+function updateAudioEngine() {
+    audioEngine.setEnvironmentalData(currentData);
+    stemRecorder.record(currentData);
+    
+    if (sessionRecorder.isRecording) {
+        sessionRecorder.record(currentData);
+        recordStatusEl.textContent = `${sessionRecorder.events.length} events, ${formatDuration(sessionRecorder.duration)}`;
+    }
+}
+
+// Settings
+
+function loadSettings() {
+    const stored = loadStoredJSON(SETTINGS_KEY) || {};
+    return {
+        weatherProvider: 'open-meteo',
+        weatherApiKey: '',
+        gpsMaxAccuracy: GPS_MAX_ACCURACY,
+        microphone: false,
+        stemBitDepth: 24,
+        reverbSpace: DEFAULT_REVERB_SPACE,
+        visualizerView: 'spectrum',
+        ...stored,
+        tuning: { ...DEFAULT_TUNING, ...stored.tuning },
+        master: { ...DEFAULT_MASTER_SETTINGS, ...stored.master }
+    };
+}
+
+function loadStoredJSON(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        // Storage disabled (e.g. private browsing) or corrupt entry
+        return null;
+    }
+}
+
+function storeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.log('Could not save settings:', error);
+    }
+}
+
+function createWeatherProvider() {
+    const entry = WEATHER_PROVIDERS[settings.weatherProvider] || WEATHER_PROVIDERS['open-meteo'];
+    return entry.create({ apiKey: settings.weatherApiKey });
+}
+
+function showWeatherSettings() {
+    weatherProviderSelect.value = settings.weatherProvider;
+    weatherApiKeyInput.value = settings.weatherApiKey;
+    weatherKeyRowEl.style.display = settings.weatherProvider === 'openweathermap' ? 'flex' : 'none';
+}
+
+function onWeatherSettingsChange() {
+    settings.weatherProvider = weatherProviderSelect.value;
+    settings.weatherApiKey = weatherApiKeyInput.value.trim();
+    storeJSON(SETTINGS_KEY, settings);
+    
+    showWeatherSettings();
+    weatherProvider = createWeatherProvider();
+    
+    // Fetch from the new source straight away during a live session
+    if (weatherFetchInterval) {
+        fetchWeather();
+    }
+}
+
+// Compass chord map
+
+async function loadChordMapFile() {
+    const file = chordMapFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        const map = JSON.parse(await file.text());
+        if (!map.name) map.name = file.name.replace(/\.json$/i, '');
+        applyChordMap(map);
         
     } catch (error) {
-        console.error('Weather fetch error:', error);
-        weatherEl.textContent = 'Weather unavailable';
+        console.error('Chord map load error:', error);
+        chordMapNameEl.textContent = 'Error: ' + error.message;
     }
+    
+    chordMapFileInput.value = '';
 }
 
-function updateAudioEngine() {
-    audioEngine.setEnvironmentalData(
-        currentData.latitude,
-        currentData.longitude,
-        currentData.speed,
-        currentData.temperature,
-        currentData.humidity,
-        currentData.heading,
-        currentData.timeOfDay
-    );
+function applyChordMap(map) {
+    audioEngine.setChordMap(map);
+    
+    const anchors = audioEngine.chordMap.anchors.length;
+    chordMapNameEl.textContent = `${audioEngine.chordMap.name || 'Untitled'} (${anchors} anchor${anchors === 1 ? '' : 's'})`;
+    chordInterpolationSelect.value = audioEngine.chordMap.interpolation || 'linear';
+}
+
+// chord: the engine's getChord(), or null when stopped
+function showChord(chord) {
+    if (!chord) {
+        chordInfoEl.textContent = '--';
+        return;
+    }
+    
+    const ratios = chord.chord.map(ratio => Number(ratio.toFixed(3))).join(' : ');
+    chordInfoEl.textContent = `${chord.label || `${Math.round(chord.heading)}°`} (${ratios})`;
+}
+
+function downloadChordMap() {
+    const json = JSON.stringify(audioEngine.chordMap, null, 2);
+    const name = (audioEngine.chordMap.name || 'chord-map').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadFile(new Blob([json], { type: 'application/json' }), `${name}.json`);
+}
+
+// Spatial layout
+
+async function loadSpatialLayoutFile() {
+    const file = spatialLayoutFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        const layout = JSON.parse(await file.text());
+        if (!layout.name) layout.name = file.name.replace(/\.json$/i, '');
+        applySpatialLayout(layout);
+        
+    } catch (error) {
+        console.error('Spatial layout load error:', error);
+        spatialLayoutNameEl.textContent = 'Error: ' + error.message;
+    }
+    
+    spatialLayoutFileInput.value = '';
+}
+
+function applySpatialLayout(layout) {
+    audioEngine.setSpatialLayout(layout);
+    
+    const active = audioEngine.spatialLayout;
+    spatialLayoutNameEl.textContent = active.name || 'Untitled';
+    spatialModeSelect.value = active.mode;
+    
+    const landmark = active.landmark;
+    landmarkInput.value = landmark ? `${landmark.latitude.toFixed(5)}, ${landmark.longitude.toFixed(5)}` : '';
+}
+
+function onLandmarkChange() {
+    const text = landmarkInput.value.trim();
+    if (text === '') {
+        setLandmark(null);
+        return;
+    }
+    
+    const [latitude, longitude] = text.split(/[\s,]+/).map(Number);
+    if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        spatialLayoutNameEl.textContent = 'Landmark must be "latitude, longitude"';
+        return;
+    }
+    setLandmark({ label: 'Landmark', latitude, longitude });
+}
+
+function setLandmark(landmark) {
+    try {
+        applySpatialLayout({ ...audioEngine.spatialLayout, landmark });
+    } catch (error) {
+        // e.g. clearing the landmark a voice is anchored to
+        spatialLayoutNameEl.textContent = 'Error: ' + error.message;
+    }
+}
+
+function downloadSpatialLayout() {
+    const layout = audioEngine.spatialLayout;
+    const json = JSON.stringify(layout, null, 2);
+    const name = (layout.name || 'spatial-layout').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadFile(new Blob([json], { type: 'application/json' }), `${name}.json`);
+}
+
+// Sound zones
+
+async function loadZonesFile() {
+    const file = zonesFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        const zones = parseZones(await file.text());
+        applyZones(zones, `${zones.length} from ${file.name}`);
+        
+    } catch (error) {
+        console.error('Zones load error:', error);
+        zonesInfoEl.textContent = 'Error: ' + error.message;
+    }
+    
+    zonesFileInput.value = '';
+}
+
+function applyZones(zones, description) {
+    audioEngine.setZones(zones);
+    zonesInfoEl.textContent = description;
+    clearZonesBtn.disabled = zones.length === 0;
+    showActiveZones(audioEngine.zoneTracker.activeZones);
+}
+
+function showActiveZones(zones) {
+    activeZoneEl.textContent = zones.length ? zones.map(zone => zone.name).join(', ') : '--';
+}
+
+// Reverb
+
+function applyReverbSpace(space) {
+    try {
+        audioEngine.setReverbSpace(space);
+    } catch (error) {
+        // e.g. a space saved by another version
+        audioEngine.setReverbSpace(DEFAULT_REVERB_SPACE);
+    }
+    
+    settings.reverbSpace = audioEngine.reverbSpace;
+    storeJSON(SETTINGS_KEY, settings);
+    showReverb();
+}
+
+function showReverb() {
+    // A loaded impulse response stands in for the space until cleared
+    const file = audioEngine.impulseResponse;
+    reverbSpaceSelect.value = audioEngine.reverbSpace;
+    reverbSpaceSelect.disabled = !!file;
+    clearImpulseBtn.disabled = !file;
+    reverbInfoEl.textContent = file ? file.name : REVERB_SPACES[audioEngine.reverbSpace].description;
+}
+
+async function loadImpulseFile() {
+    const file = impulseFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        await audioEngine.setImpulseResponse({ name: file.name, data: await file.arrayBuffer() });
+        showReverb();
+    } catch (error) {
+        console.error('Impulse response load error:', error);
+        reverbInfoEl.textContent = 'Error: ' + error.message;
+    }
+    
+    impulseFileInput.value = '';
+}
+
+async function clearImpulse() {
+    await audioEngine.setImpulseResponse(null);
+    showReverb();
+}
+
+// Output
+
+// The volume slider is in percent, and its square the gain, so that it
+// turns down evenly to the ear
+function onOutputChange() {
+    applyMasterSettings({
+        volume: Math.pow(Number(volumeInput.value) / 100, 2),
+        ceiling: Number(masterCeilingSelect.value),
+        target: loudnessTargetSelect.value === '' ? null : Number(loudnessTargetSelect.value),
+        saturation: Number(saturationSelect.value)
+    });
+}
+
+function applyMasterSettings(master) {
+    try {
+        audioEngine.setMasterSettings(master);
+    } catch (error) {
+        // e.g. settings saved by another version
+        audioEngine.setMasterSettings(DEFAULT_MASTER_SETTINGS);
+    }
+    
+    settings.master = audioEngine.masterSettings;
+    storeJSON(SETTINGS_KEY, settings);
+    showOutputSettings();
+}
+
+function showOutputSettings() {
+    const master = audioEngine.masterSettings;
+    const percent = Math.round(Math.sqrt(master.volume) * 100);
+    volumeInput.value = percent;
+    volumeInfoEl.textContent = `${percent}%`;
+    masterCeilingSelect.value = master.ceiling;
+    loudnessTargetSelect.value = master.target === null ? '' : master.target;
+    saturationSelect.value = master.saturation;
+}
+
+// meter: the master bus's readings (see MasterBus.getMeter()), or null
+// when stopped
+function showMasterMeter(meter) {
+    if (!meter || !audioEngine.masterBus.isMetered) {
+        loudnessInfoEl.textContent = meter ? 'Not measured in this browser' : '--';
+        masterGainInfoEl.textContent = '--';
+        return;
+    }
+    
+    const signed = db => `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+    loudnessInfoEl.textContent = meter.loudness !== null ? `${meter.loudness.toFixed(1)} LUFS` : 'Silent';
+    masterGainInfoEl.textContent = `${signed(meter.autoGain)} / ${signed(meter.reduction)}`;
+}
+
+// Display
+
+function applyVisualizerView(view) {
+    try {
+        visualizer.setView(view);
+    } catch (error) {
+        // e.g. a view saved by another version
+        visualizer.setView('spectrum');
+    }
+    
+    settings.visualizerView = visualizer.view;
+    storeJSON(SETTINGS_KEY, settings);
+    visualizerViewSelect.value = visualizer.view;
+    clearTrailBtn.hidden = visualizer.view !== 'map';
+}
+
+// Tuning
+
+function showTuningSettings() {
+    const tuning = settings.tuning;
+    tuningSystemSelect.value = tuning.system;
+    tuningRootSelect.value = tuning.root;
+    tuningScaleSelect.value = tuning.scale;
+    tuningGlideInput.value = tuning.glide;
+    scalaOptionsEl.style.display = tuning.system === 'scala' ? 'block' : 'none';
+}
+
+function onTuningChange() {
+    settings.tuning = {
+        ...settings.tuning,
+        system: tuningSystemSelect.value,
+        root: tuningRootSelect.value,
+        scale: tuningScaleSelect.value,
+        glide: Number(tuningGlideInput.value)
+    };
+    showTuningSettings();
+    applyTuning();
+}
+
+function applyTuning() {
+    const tuning = settings.tuning;
+    
+    try {
+        audioEngine.setTuning(tuning);
+    } catch (error) {
+        // e.g. Scala selected before a file is loaded: stay continuous meanwhile
+        audioEngine.setTuning({ ...tuning, system: 'off' });
+        tuningInfoEl.textContent = error.message;
+        return;
+    }
+    
+    storeJSON(SETTINGS_KEY, settings);
+    
+    if (tuning.system === 'off') {
+        tuningInfoEl.textContent = 'Continuous';
+    } else if (tuning.system === 'scala') {
+        const mapping = tuning.keyboardMapping ? ' + .kbm' : ` from ${tuning.root}`;
+        tuningInfoEl.textContent = (tuning.scala.description || 'Scala scale') + mapping;
+    } else {
+        tuningInfoEl.textContent = `${TUNINGS[tuning.system].name}, ${tuning.root} ${tuningScaleSelect.selectedOptions[0].textContent.toLowerCase()}`;
+    }
+}
+
+async function loadScalaFile() {
+    const file = sclFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        // A keyboard mapping belongs to a particular scale, so a new scale drops it
+        settings.tuning = { ...settings.tuning, scala: parseScala(await file.text()), keyboardMapping: null };
+        applyTuning();
+    } catch (error) {
+        console.error('Scala load error:', error);
+        tuningInfoEl.textContent = 'Error: ' + error.message;
+    }
+    
+    sclFileInput.value = '';
+}
+
+async function loadKeyboardMappingFile() {
+    const file = kbmFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        settings.tuning = { ...settings.tuning, keyboardMapping: parseKeyboardMapping(await file.text()) };
+        applyTuning();
+    } catch (error) {
+        console.error('Keyboard mapping load error:', error);
+        tuningInfoEl.textContent = 'Error: ' + error.message;
+    }
+    
+    kbmFileInput.value = '';
+}
+
+// Location source
+
+function onLocationSourceChange() {
+    routeOptionsEl.style.display = locationSourceSelect.value === 'route' ? 'block' : 'none';
+    
+    // Swap providers on the fly during a live session
+    if (isRunning && locationProvider) {
+        const provider = createLocationProvider();
+        if (!provider) return;
+        
+        locationProvider.stop();
+        locationProvider = provider;
+        locationFilter.reset();
+        locationProvider.start(onLocationUpdate, onLocationError);
+        
+        window.removeEventListener('deviceorientation', onOrientationChange);
+        if (!locationProvider.providesHeading) {
+            startCompass();
+        }
+    }
+}
+
+// Terrain
+
+async function loadBundledTerrain() {
+    // Not available from file:// pages; the terrain fallback then waits for a tile
+    try {
+        const response = await fetch('dem-sample.json');
+        if (!response.ok) return;
+        addTerrainTile(parseTerrainJSON(await response.json()));
+    } catch (error) {
+        console.log('No bundled terrain:', error.message);
+    }
+}
+
+async function loadTerrainFile() {
+    const file = terrainFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        const tile = /\.hgt$/i.test(file.name)
+            ? parseHgt(await file.arrayBuffer(), file.name)
+            : parseTerrainJSON(await file.text());
+        addTerrainTile(tile);
+    } catch (error) {
+        console.error('Terrain load error:', error);
+        terrainInfoEl.textContent = 'Error: ' + error.message;
+    }
+    
+    terrainFileInput.value = '';
+}
+
+function addTerrainTile(tile) {
+    terrain.add(tile);
+    
+    const count = terrain.tiles.length;
+    terrainInfoEl.textContent = `${count} tile${count === 1 ? '' : 's'}, latest ${tile.south.toFixed(2)}, ${tile.west.toFixed(2)} to ${tile.north.toFixed(2)}, ${tile.east.toFixed(2)}`;
+}
+
+async function loadRouteFile() {
+    const file = routeFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        importedRoute = parseRoute(await file.text(), file.name);
+        
+        const timing = importedRoute.points.every(point => point.time !== null)
+            ? 'timestamped'
+            : 'fixed speed';
+        routeInfoEl.textContent = `${importedRoute.name}: ${importedRoute.points.length} points, ${timing}`;
+        
+    } catch (error) {
+        console.error('Route load error:', error);
+        importedRoute = null;
+        routeInfoEl.textContent = 'Error: ' + error.message;
+    }
+    
+    visualizer.setRoute(importedRoute);
+}
+
+// Mapping patch
+
+async function loadPatchFile() {
+    const file = patchFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        const patch = JSON.parse(await file.text());
+        if (!patch.name) patch.name = file.name.replace(/\.json$/i, '');
+        applyPatch(patch);
+        
+    } catch (error) {
+        console.error('Patch load error:', error);
+        patchNameEl.textContent = 'Error: ' + error.message;
+    }
+    
+    // Allow re-loading the same file after editing it
+    patchFileInput.value = '';
+}
+
+function applyPatch(patch) {
+    audioEngine.setPatch(patch);
+    stemRecorder.retap(audioEngine);
+    patchNameEl.textContent = audioEngine.patch.name || 'Untitled';
+    if (!isRunning) showVoices(getVoiceLayout(audioEngine.patch));
+}
+
+// The Frequencies panel: a row per voice of the patch's groups (see
+// voice-groups.js), under the group names when there's more than one
+function showVoices(layout) {
+    const key = JSON.stringify(layout);
+    if (key === shownVoices) return;
+    shownVoices = key;
+    
+    const grouped = layout.some(voice => voice.group > 0);
+    const rows = [];
+    layout.forEach((voice, i) => {
+        if (grouped && (i === 0 || voice.group !== layout[i - 1].group)) {
+            const heading = document.createElement('div');
+            heading.className = 'freq-group';
+            heading.textContent = voice.groupName;
+            rows.push(heading);
+        }
+        
+        const label = document.createElement('span');
+        label.className = 'freq-label';
+        label.textContent = `${i}: ${voice.role}`;
+        
+        const value = document.createElement('span');
+        value.className = 'freq-value';
+        value.id = `freq${i}`;
+        value.textContent = '--';
+        
+        const row = document.createElement('div');
+        row.className = 'freq-row';
+        row.append(label, value);
+        rows.push(row);
+    });
+    
+    freqGridEl.replaceChildren(...rows);
+}
+
+function showFrequencies() {
+    const frequencies = pendingFrequencies;
+    pendingFrequencies = null;
+    
+    frequencies.forEach((freq, i) => {
+        const freqEl = document.getElementById(`freq${i}`);
+        if (freqEl) {
+            const spec = audioEngine.voiceSpecs[i];
+            const type = spec && spec.type !== 'sine' ? ` (${spec.type})` : '';
+            freqEl.textContent = `${freq.toFixed(1)} Hz${type}`;
+        }
+    });
+}
+
+function downloadPatch() {
+    const json = JSON.stringify(audioEngine.patch, null, 2);
+    const name = (audioEngine.patch.name || 'patch').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadFile(new Blob([json], { type: 'application/json' }), `${name}.json`);
+}
+
+// Session recording
+
+function toggleRecording() {
+    if (sessionRecorder.isRecording) {
+        sessionRecorder.stop();
+        recordBtn.textContent = 'Record';
+        recordBtn.classList.remove('recording');
+        downloadSessionBtn.disabled = sessionRecorder.events.length === 0;
+    } else {
+        sessionRecorder.start();
+        sessionRecorder.seed = isRunning ? audioEngine.activeSeed : null;
+        recordBtn.textContent = 'Stop Recording';
+        recordBtn.classList.add('recording');
+        downloadSessionBtn.disabled = true;
+        recordStatusEl.textContent = 'Recording...';
+        
+        // Capture the starting state even if nothing changes for a while
+        if (isRunning) sessionRecorder.record(currentData);
+    }
+}
+
+function downloadSession() {
+    const json = JSON.stringify(sessionRecorder.toJSON(), null, 2);
+    const stamp = sessionRecorder.startedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(new Blob([json], { type: 'application/json' }), `session-${stamp}.json`);
+}
+
+// Stems
+
+async function toggleStems() {
+    if (stemRecorder.isRecording) {
+        await stopStems();
+        return;
+    }
+    
+    try {
+        await stemRecorder.start(audioEngine, { bitDepth: settings.stemBitDepth });
+        stemRecorder.record(currentData);
+        stemsBtn.textContent = 'Stop Stems';
+        stemsBtn.classList.add('recording');
+        stemFormatSelect.disabled = true;
+        downloadStemsBtn.disabled = true;
+        showStemStatus();
+        stemInterval = setInterval(showStemStatus, 1000);
+    } catch (error) {
+        console.error('Stem recording error:', error);
+        stemStatusEl.textContent = 'Error: ' + error.message;
+    }
+}
+
+async function stopStems() {
+    clearInterval(stemInterval);
+    stemInterval = null;
+    stemsBtn.disabled = true;
+    stemStatusEl.textContent = 'Finishing...';
+    
+    await stemRecorder.stop();
+    
+    stemsBtn.textContent = 'Record Stems';
+    stemsBtn.classList.remove('recording');
+    stemsBtn.disabled = !isRunning;
+    stemFormatSelect.disabled = false;
+    downloadStemsBtn.disabled = stemRecorder.duration === 0;
+    showStemStatus();
+}
+
+function showStemStatus() {
+    const megabytes = stemRecorder.byteLength / 1e6;
+    let status = `${stemRecorder.tracks.length} stems, ${formatDuration(stemRecorder.duration)}, ${megabytes.toFixed(megabytes < 10 ? 1 : 0)} MB`;
+    if (stemRecorder.isRecording) {
+        status += `, ${formatDuration(stemRecorder.remaining)} left`;
+    } else if (stemRecorder.isFull) {
+        status += ' (memory limit reached)';
+    }
+    stemStatusEl.textContent = status;
+}
+
+function downloadStems() {
+    const stamp = stemRecorder.session.startedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(stemRecorder.toBlob(), `stems-${stamp}.zip`);
+}
+
+function downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Random seed
+
+function showSeed() {
+    const seed = audioEngine.activeSeed;
+    if (seed === null) {
+        seedStatusEl.textContent = audioEngine.seed === null ? '--' : `${audioEngine.seed} from next start`;
+    } else if (audioEngine.seed !== null && audioEngine.seed !== seed) {
+        seedStatusEl.textContent = `${seed} (${audioEngine.seed} from next start)`;
+    } else {
+        seedStatusEl.textContent = `${seed}` + (audioEngine.seed === null ? '' : ' (fixed)');
+    }
+    
+    seedInput.value = audioEngine.seed === null ? '' : audioEngine.seed;
+    keepSeedBtn.disabled = seed === null || audioEngine.seed === seed;
+}
+
+function onSeedChange() {
+    const text = seedInput.value.trim();
+    if (text === '') {
+        applySeed(null);
+        return;
+    }
+    
+    const seed = Number(text);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        seedStatusEl.textContent = 'Seed must be a whole number from 0 to 4294967295';
+        return;
+    }
+    applySeed(seed);
+}
+
+// null = a new seed every start
+function applySeed(seed) {
+    audioEngine.seed = seed;
+    showSeed();
+}
+
+// Session replay
+
+async function loadSessionFile() {
+    const file = sessionFileInput.files[0];
+    if (!file) return;
+    
+    try {
+        const track = parseSession(await file.text());
+        
+        // Replay with the recording's seed to hear the same take
+        // (from the next start if the engine is already running)
+        if (track.seed !== null) {
+            applySeed(track.seed);
+        }
+        
+        if (sessionReplay) sessionReplay.pause();
+        
+        sessionReplay = new SessionReplay(track);
+        sessionReplay.speed = Number(replaySpeedSelect.value);
+        sessionReplay.onData = onReplayData;
+        sessionReplay.onPosition = onReplayPosition;
+        sessionReplay.onEnd = () => {
+            replayBtn.textContent = 'Play';
+            statusEl.textContent = 'Replay finished';
+        };
+        
+        replaySeek.max = track.duration;
+        replaySeek.disabled = false;
+        replayBtn.disabled = false;
+        replayBtn.textContent = 'Play';
+        seekReplay(0);
+        
+    } catch (error) {
+        console.error('Session load error:', error);
+        replayPositionEl.textContent = 'Error: ' + error.message;
+    }
+}
+
+async function toggleReplay() {
+    if (!sessionReplay) return;
+    
+    if (sessionReplay.isPlaying) {
+        sessionReplay.pause();
+        replayBtn.textContent = 'Play';
+        return;
+    }
+    
+    if (!isRunning) {
+        await startAudio(false);
+        if (!isRunning) return;
+    } else {
+        // Replay takes over from the live sensors
+        stopLiveSources();
+        statusEl.textContent = 'Replaying';
+    }
+    
+    sessionReplay.seek(sessionReplay.position);
+    sessionReplay.play();
+    replayBtn.textContent = 'Pause';
+}
+
+// Moves the replay to `time`. While the live sources still run, their data
+// stays until the replay starts and takes over (toggleReplay seeks again).
+function seekReplay(time) {
+    if (locationProvider) {
+        sessionReplay.position = Math.max(0, Math.min(sessionReplay.duration, time));
+        onReplayPosition(sessionReplay.position);
+    } else {
+        sessionReplay.seek(time);
+    }
+}
+
+function onReplayData(data) {
+    Object.assign(currentData, data);
+    
+    // Sessions recorded before timestamps were logged: assume today
+    if (typeof data.timestamp !== 'number') {
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        currentData.timestamp = midnight.getTime() + currentData.timeOfDay * 86400000;
+    }
+    
+    showLocation();
+    showHeading();
+    showMotion();
+    showMicrophone();
+    showWeather();
+    visualizer.addPosition(currentData.latitude, currentData.longitude, currentData.heading);
+    timeEl.textContent = formatTimeOfDay(currentData.timeOfDay);
+    showSun();
+    showMoon();
+    
+    updateAudioEngine();
+}
+
+function onReplayPosition(position) {
+    replaySeek.value = position;
+    replayPositionEl.textContent = `${formatDuration(position)} / ${formatDuration(sessionReplay.duration)}`;
+}
+
+function formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatTimeOfDay(timeOfDay) {
+    // Same format as the live clock display
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setSeconds(Math.round(timeOfDay * 24 * 3600));
+    return date.toLocaleTimeString();
 }
 
 // Wake lock for iOS to keep audio running
@@ -304,3 +1694,17 @@ document.addEventListener('touchstart', () => {
 
 // Initialize time display
 updateTimeOfDay();
+showWeatherSettings();
+showTuningSettings();
+gpsMaxAccuracyInput.value = settings.gpsMaxAccuracy;
+stemFormatSelect.value = settings.stemBitDepth;
+loadBundledTerrain();
+showMicrophone();
+applyTuning();
+applyReverbSpace(settings.reverbSpace);
+applyMasterSettings(settings.master);
+applyVisualizerView(settings.visualizerView);
+showVoices(getVoiceLayout(audioEngine.patch));
+applyChordMap(DEFAULT_CHORD_MAP);
+applySpatialLayout(DEFAULT_SPATIAL_LAYOUT);
+showSeed();
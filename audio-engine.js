@@ -1,21 +1,124 @@
-class EnvironmentalAudioEngine {
+// Environmental fields accepted by setEnvironmentalData() in object form
+// (same names as currentData in app.js)
+const ENVIRONMENTAL_KEYS = [
+    'latitude', 'longitude', 'speed', 'temperature', 'humidity', 'heading', 'timeOfDay', 'timestamp',
+    'windSpeed', 'windDirection', 'pressure', 'cloudCover', 'precipitation',
+    'altitude', 'climbRate', 'ascent',
+    'cadence', 'shake', 'tiltForward', 'tiltSide',
+    'micLevel', 'micCentroid', 'micPitch'
+];
+
+// Of those, readings that may be null: not known yet, or the sensor is off.
+// A null clears the engine's value, so a sensor switched off stops
+// modulating instead of holding its last reading.
+const NULLABLE_KEYS = [
+    'windSpeed', 'windDirection', 'pressure', 'cloudCover', 'precipitation', 'altitude',
+    'cadence', 'shake', 'tiltForward', 'tiltSide',
+    'micLevel', 'micCentroid', 'micPitch'
+];
+
+// Pressure trend is the change over this window (weather forecasters use 3 hours)
+const PRESSURE_TREND_WINDOW = 3 * 3600 * 1000; // ms
+
+// Pulses and droplets are scheduled this far ahead of the audio clock, topped
+// up every SCHEDULE_INTERVAL. The look-ahead covers the 1s minimum that
+// browsers throttle background timers to, with room to spare.
+const SCHEDULE_LOOKAHEAD = 4; // seconds
+const SCHEDULE_INTERVAL = 1000; // ms
+
+// Voice panners follow the heading this quickly (time constant, seconds):
+// fast enough to track a head turn without zipper noise
+const SPATIAL_SMOOTHING = 0.05;
+
+// While a sound zone crossfades, the engine re-evaluates this often (ms live,
+// seconds offline) so the fade moves smoothly between position updates
+const ZONE_FADE_INTERVAL = 100;
+const ZONE_FADE_STEP = 0.1;
+
+const GROUP_LEVEL = 0.32; // peak gain a voice group's pulses share (the original 8 voices at 0.04 each)
+const DRONE_FADE_IN = 2; // seconds
+const BURST_THRESHOLD = 0.5; // `burst` rising through this brings every silent voice in
+const BURST_FADE_IN = 0.05; // seconds; burst pulses start sharply
+const DROPLET_LEVEL = 0.05; // peak gain of the loudest droplet
+
+// One random stream per part of the engine, all derived from the seed:
+// graph    - LFO rates, gust rate, noise buffers
+// pulses   - pulse timing and fades
+// droplets - rain timing, pitch, level and pan
+// drift    - temperature pitch drift
+// reverb   - room impulses (see reverb.js)
+const RANDOM_STREAMS = ['graph', 'pulses', 'droplets', 'drift', 'reverb'];
+
+// Events for on() (see event-emitter.js); none fire while rendering offline.
+// pulseStart   - { voice, role, group, time, level, fadeIn, duration }: a
+//                voice begins to fade in (delivered when it sounds, though
+//                planned SCHEDULE_LOOKAHEAD ahead; `time` is the audio clock)
+// pulseEnd     - { voice, role, group, time, fadeOut }: it begins to fade out
+// chordChange  - getChord() and `time`: the compass chord mostly heard is
+//                another anchor's, or the chord map changed
+// paramsUpdate - { time, params, frequencies }: the patch (and any zones)
+//                evaluated again; every value is the target being moved to
+// stateChange  - { change, state }: the engine started or stopped, or a
+//                setting changed; `change` names it and `state` is getState()
+const ENGINE_EVENTS = ['pulseStart', 'pulseEnd', 'chordChange', 'paramsUpdate', 'stateChange'];
+const EVENT_INTERVAL = 50; // ms between deliveries of scheduled events
+
+class EnvironmentalAudioEngine extends EventEmitter {
     constructor() {
+        super(ENGINE_EVENTS);
         this.audioContext = null;
-        this.oscillators = [];
+        this.oscillators = []; // one voice per slot (see voices.js), pitched like an OscillatorNode
+        this.voiceSpecs = []; // type and options of each slot's voice, from the patch
+        this.voiceLayout = []; // group and role of each voice (see voice-groups.js)
+        this.voiceLevels = []; // peak gain of each voice: its group's share of GROUP_LEVEL
         this.gainNodes = [];
-        this.convolver = null;
+        this.levelNodes = []; // per-oscillator level after the pulse envelope
+        this.voiceOutputs = []; // last node of each voice before its panner
+        this.voicePanners = []; // per-voice panner; null in mono mode
+        this.groupBuses = []; // per group: { input, nodes } from its level to its filters
+        this.fundamentalFilters = []; // { highpass, lowpass } of each fundamental voice
+        this.reverb = null; // see reverb.js
         this.masterGain = null;
         this.dryGain = null;
         this.wetGain = null;
-        this.lowPassFilter = null;
-        this.highPassFilter = null;
+        this.toneFilter = null; // low-pass on the whole mix (cloud cover)
+        this.analyser = null; // on masterGain, for the display; none offline
+        this.masterBus = null; // see master-bus.js
+        this.hasMasterWorklet = false; // the master bus processor loaded into this context
         this.isRunning = false;
+        this.isOffline = false; // true while renderOffline() is running
+        
+        // The reverb's room: a space from REVERB_SPACES, or a loaded impulse
+        // response file ({ name, data }) decoded into each run's context
+        this.reverbSpace = DEFAULT_REVERB_SPACE;
+        this.impulseResponse = null;
+        this.reverbKey = null; // space, decay and damping of the room playing
+        
+        // Volume, safety ceiling, loudness target and saturation of the
+        // master bus (offline renders use only the saturation)
+        this.masterSettings = { ...DEFAULT_MASTER_SETTINGS };
+        this.onMasterMeter = null; // called with the master bus's readings
+        
+        // Wind: looped noise -> band-pass -> gain (with gusts) -> panner
+        this.wind = null;
+        
+        // Rain: short "plink" grains at random times
+        this.dropletBuffer = null;
+        this.dropletBus = null;
+        this.nextDropletTime = 0; // audio-clock time of the next droplet
         
         // Fundamental frequency based on sun position
         this.fundamentalFreq = 200;
         
-        // All 8 oscillators are now sporadic
-        this.sporadicTimers = [];
+        // Every voice but the drones is sporadic, planned ahead by a PulseScheduler
+        this.pulseScheduler = null;
+        this.pulsedVoices = []; // indices of the voices the scheduler drives
+        this.scheduleTimer = null;
+        this.pulseLevels = []; // peak gain of each oscillator's current pulse
+        this.bursting = false; // `burst` above BURST_THRESHOLD at the last update
+        
+        // Last frequency sent to each oscillator (ramps start from here)
+        this.targetFrequencies = [];
         
         // Environmental parameters
         this.latitude = 0;
@@ -25,14 +128,83 @@ class EnvironmentalAudioEngine {
         this.humidity = 50; // percentage
         this.heading = 0; // compass heading in degrees (0 = North)
         this.timeOfDay = 0.5;
+        this.timestamp = null; // ms since epoch; null = today at timeOfDay
+        this.altitude = null; // meters above sea level; null until known
+        this.climbRate = 0; // m/s, negative descending
+        this.ascent = 0; // meters climbed since starting
         
-        // Sun position
+        // Motion sensors (see motion-sensor.js; null without them)
+        this.cadence = null; // steps per minute
+        this.shake = null; // 0-1
+        this.tiltForward = null; // degrees: 0 flat, 90 upright
+        this.tiltSide = null; // degrees: negative left, positive right
+        
+        // Microphone (see microphone.js; null while it's off)
+        this.micLevel = null; // dB relative to full scale
+        this.micCentroid = null; // Hz
+        this.micPitch = null; // Hz; null when there's no clear pitch
+        
+        // Weather beyond temperature/humidity (null until a reading arrives)
+        this.windSpeed = null; // m/s
+        this.windDirection = null; // degrees the wind blows from
+        this.pressure = null; // hPa
+        this.cloudCover = null; // %
+        this.precipitation = null; // mm/h
+        this.pressureHistory = []; // [{ time, pressure }] for the trend
+        this.pressureTrend = null; // hPa change over PRESSURE_TREND_WINDOW
+        
+        // Sun position (see solar-position.js)
         this.sunElevation = 0; // degrees above horizon
+        this.sunAzimuth = 180; // degrees clockwise from North
+        this.sunTimes = null; // sunrise, sunset, solar noon, twilight boundaries
+        this.twilight = 'day';
+        this.dayProgress = null; // 0 at sunrise, 1 at sunset
+        
+        // Moon position (see moon-position.js)
+        this.moonElevation = 0; // degrees above horizon
+        this.moonAzimuth = 0; // degrees clockwise from North
+        this.moonIllumination = 0; // illuminated fraction, 0-1
+        this.moonPhase = 0; // 0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter
         
         // Vibrato/tremolo LFOs
         this.vibratoLFOs = [];
         
-        this.onFrequencyUpdate = null;
+        // Mapping patch from environmental inputs to parameters (see mapping-patch.js)
+        this.patch = clonePatch(DEFAULT_PATCH);
+        
+        // Parameter values from the last patch evaluation
+        this.params = null;
+        
+        // Pitch quantization (see tuning.js); off by default
+        this.tuning = new Tuning(DEFAULT_TUNING);
+        
+        // Heading-to-chord anchors (see chord-map.js)
+        this.chordMap = cloneChordMap(DEFAULT_CHORD_MAP);
+        
+        // Where each voice sits around the listener (see spatial-layout.js)
+        this.spatialLayout = cloneSpatialLayout(DEFAULT_SPATIAL_LAYOUT);
+        
+        // Geofenced sound zones (see zones.js) and their drone layers
+        this.zones = [];
+        this.zoneTracker = new ZoneTracker();
+        this.zoneLayers = []; // [{ zoneIndex, layer, oscillator, gain }]
+        this.zoneTimer = null;
+        this.onZoneChange = null; // called with the active zones on entering or leaving one
+        
+        // All randomness comes from one seed (see random.js), so a seed plus
+        // the same input data recreates a performance
+        this.seed = null; // fixed seed; null = a new one each run
+        this.activeSeed = null; // seed of the current (or last) run
+        this.random = null; // named generators, from seedRandom()
+        
+        // Events planned ahead on the audio clock wait here until they
+        // happen ([{ name, event }])
+        this.scheduledEvents = [];
+        this.eventTimer = null;
+        this.chordKey = null; // { map, anchor } of the last chordChange
+        this.chordWeights = []; // level of each voice in the chord (1 for all but fading chord tones)
+        
+        this.onFrequencyUpdate = null; // called with each voice's target frequency
     }
     
     async start() {
@@ -52,9 +224,77 @@ class EnvironmentalAudioEngine {
             }
         }, 100);
         
-        // Create reverb
-        this.convolver = this.audioContext.createConvolver();
-        this.convolver.buffer = this.createReverbImpulse();
+        this.seedRandom();
+        this.hasMasterWorklet = await MasterBus.prepare(this.audioContext);
+        this.buildGraph();
+        await this.loadImpulseResponse();
+        
+        this.isRunning = true;
+        this.updateFrequencies();
+        this.eventTimer = setInterval(() => this.deliverEvents(), EVENT_INTERVAL);
+        
+        // Start sporadic behavior for every pulsing voice (and the rain)
+        const now = this.audioContext.currentTime;
+        this.createPulseScheduler(now);
+        this.nextDropletTime = now;
+        
+        this.scheduleAhead();
+        this.scheduleTimer = setInterval(() => this.scheduleAhead(), SCHEDULE_INTERVAL);
+        
+        this.zoneTimer = setInterval(() => {
+            if (this.zoneTracker.isFading(this.audioContext.currentTime)) {
+                this.updateFrequencies();
+            }
+        }, ZONE_FADE_INTERVAL);
+        
+        this.emitStateChange('start');
+    }
+    
+    seedRandom(seed = this.seed) {
+        this.activeSeed = seed !== null && seed !== undefined ? seed >>> 0 : randomSeed();
+        this.random = createRandomStreams(this.activeSeed, RANDOM_STREAMS);
+    }
+    
+    createPulseScheduler(time) {
+        // The scheduler counts only the pulsing voices
+        const voices = this.pulsedVoices;
+        this.pulseScheduler = new PulseScheduler(voices.length, {
+            plan: i => this.planPulse(voices[i]),
+            start: (i, pulse, when) => {
+                this.fadeIn(voices[i], pulse.fadeIn, this.voiceLevels[voices[i]], when);
+                this.scheduleEvent('pulseStart', {
+                    ...this.describeVoice(voices[i]),
+                    time: when,
+                    level: this.voiceLevels[voices[i]],
+                    fadeIn: pulse.fadeIn,
+                    duration: pulse.duration
+                });
+            },
+            end: (i, pulse, when) => {
+                this.fadeOut(voices[i], pulse.fadeOut, when);
+                this.scheduleEvent('pulseEnd', { ...this.describeVoice(voices[i]), time: when, fadeOut: pulse.fadeOut });
+            }
+        });
+        this.pulseScheduler.reset(time);
+    }
+    
+    scheduleAhead() {
+        if (!this.isRunning) return;
+        
+        const now = this.audioContext.currentTime;
+        
+        // Timers held up past the look-ahead: resume from now, don't bunch up
+        this.pulseScheduler.catchUp(now);
+        this.nextDropletTime = Math.max(this.nextDropletTime, now);
+        
+        this.pulseScheduler.advance(now + SCHEDULE_LOOKAHEAD);
+        this.scheduleDroplets(now + SCHEDULE_LOOKAHEAD);
+    }
+    
+    buildGraph() {
+        // Create reverb (its room is built on the first update)
+        this.reverb = new Reverb(this.audioContext);
+        this.reverbKey = null;
         
         // Create dry/wet mix for reverb (controlled by humidity)
         this.dryGain = this.audioContext.createGain();
@@ -62,380 +302,1334 @@ class EnvironmentalAudioEngine {
         this.dryGain.gain.value = 0.7; // Default 70% dry
         this.wetGain.gain.value = 0.3; // Default 30% wet
         
-        // Create filters for fundamental (controlled by lat/lon)
-        this.lowPassFilter = this.audioContext.createBiquadFilter();
-        this.lowPassFilter.type = 'lowpass';
-        this.lowPassFilter.frequency.value = 5000;
-        
-        this.highPassFilter = this.audioContext.createBiquadFilter();
-        this.highPassFilter.type = 'highpass';
-        this.highPassFilter.frequency.value = 100;
+        // Tone filter over the whole mix (darkened by cloud cover)
+        this.toneFilter = this.audioContext.createBiquadFilter();
+        this.toneFilter.type = 'lowpass';
+        this.toneFilter.frequency.value = 20000;
         
         // Master gain
         this.masterGain = this.audioContext.createGain();
         this.masterGain.gain.value = 0.8;
         
-        // Audio chain: oscillators -> gains -> (filters for fund, direct for harmonics) -> dry/wet -> master -> destination
-        this.dryGain.connect(this.masterGain);
-        this.wetGain.connect(this.convolver);
-        this.convolver.connect(this.masterGain);
-        this.masterGain.connect(this.audioContext.destination);
+        // Master bus: renders keep their level, under a fixed ceiling
+        const masterSettings = this.isOffline
+            ? { volume: 1, ceiling: MASTER_RENDER_CEILING, target: null, saturation: this.masterSettings.saturation }
+            : this.masterSettings;
+        this.masterBus = new MasterBus(this.audioContext, masterSettings, this.hasMasterWorklet);
+        if (!this.isOffline) {
+            this.masterBus.onMeter = meter => {
+                if (this.onMasterMeter) this.onMasterMeter(meter);
+            };
+        }
         
-        // Create 8 oscillators (1 fundamental + 7 harmonics)
-        for (let i = 0; i < 8; i++) {
-            const oscillator = this.audioContext.createOscillator();
+        // Audio chain: oscillators -> gains -> (filters for fund, direct for harmonics) -> panners -> group -> dry/wet -> tone -> master -> master bus -> destination
+        this.dryGain.connect(this.toneFilter);
+        this.wetGain.connect(this.reverb.input);
+        this.reverb.output.connect(this.toneFilter);
+        this.toneFilter.connect(this.masterGain);
+        this.masterGain.connect(this.masterBus.input);
+        this.masterBus.output.connect(this.audioContext.destination);
+        
+        if (!this.isOffline) {
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.minDecibels = -100;
+            this.analyser.maxDecibels = -20;
+            this.masterGain.connect(this.analyser);
+        }
+        
+        this.buildWindLayer();
+        this.buildDropletLayer();
+        this.buildZoneLayers();
+        this.buildVoices();
+    }
+    
+    buildVoices() {
+        // The patch's voice groups (by default 1 fundamental + 7 harmonics)
+        const groups = getVoiceGroups(this.patch);
+        const now = this.audioContext.currentTime;
+        
+        this.voiceLayout = getVoiceLayout(this.patch);
+        this.groupBuses = groups.map(group => this.createGroupBus(group));
+        
+        this.voiceLayout.forEach((layoutVoice, i) => {
             const gainNode = this.audioContext.createGain();
+            const levelNode = this.audioContext.createGain();
             
             // Create vibrato LFO for each oscillator
             const lfo = this.audioContext.createOscillator();
             const lfoGain = this.audioContext.createGain();
-            lfo.frequency.value = 5 + Math.random() * 3; // 5-8 Hz vibrato rate
+            const baseRate = 5 + this.random.graph() * 3; // 5-8 Hz vibrato rate
+            lfo.frequency.value = baseRate;
             lfoGain.gain.value = 0; // Will be controlled by speed
             
             lfo.connect(lfoGain);
-            lfoGain.connect(oscillator.frequency);
             lfo.start();
             
-            this.vibratoLFOs.push({ lfo, lfoGain });
+            this.vibratoLFOs.push({ lfo, lfoGain, baseRate });
             
-            oscillator.type = 'sine';
-            oscillator.frequency.value = 200;
+            this.targetFrequencies.push(200);
+            this.pulseLevels.push(0);
+            this.voiceLevels.push(GROUP_LEVEL / groups[layoutVoice.group].roles.length);
             
             // Start at 0 volume (sporadic)
             gainNode.gain.value = 0;
+            gainNode.connect(levelNode);
             
-            oscillator.connect(gainNode);
-            
-            // Fundamental (osc 0) goes through filters, harmonics bypass filters
-            if (i === 0) {
-                gainNode.connect(this.highPassFilter);
-                this.highPassFilter.connect(this.lowPassFilter);
-                this.lowPassFilter.connect(this.dryGain);
-                this.lowPassFilter.connect(this.wetGain);
+            // Fundamentals go through filters (controlled by lat/lon), the
+            // other roles bypass them
+            if (layoutVoice.role === 'fundamental') {
+                const highpass = this.audioContext.createBiquadFilter();
+                highpass.type = 'highpass';
+                highpass.frequency.value = 100;
+                
+                const lowpass = this.audioContext.createBiquadFilter();
+                lowpass.type = 'lowpass';
+                lowpass.frequency.value = 5000;
+                
+                levelNode.connect(highpass);
+                highpass.connect(lowpass);
+                this.fundamentalFilters.push({ highpass, lowpass });
+                this.voiceOutputs.push(lowpass);
             } else {
-                gainNode.connect(this.dryGain);
-                gainNode.connect(this.wetGain);
+                this.voiceOutputs.push(levelNode);
             }
             
-            oscillator.start();
-            
-            this.oscillators.push(oscillator);
             this.gainNodes.push(gainNode);
-        }
+            this.levelNodes.push(levelNode);
+            
+            // Sine unless the patch picks another voice for this slot
+            this.startVoice(i, getVoiceSpec(this.patch, i));
+            
+            // Drones hold their level instead of pulsing
+            if (layoutVoice.role === 'drone') {
+                gainNode.gain.setValueAtTime(0, now);
+                gainNode.gain.linearRampToValueAtTime(this.voiceLevels[i], now + DRONE_FADE_IN);
+                this.pulseLevels[i] = this.voiceLevels[i];
+            }
+        });
         
-        this.isRunning = true;
+        this.pulsedVoices = this.voiceLayout
+            .filter(layoutVoice => layoutVoice.role !== 'drone')
+            .map(layoutVoice => layoutVoice.index);
+        
+        // Each voice -> its panner -> its group -> dry/wet
+        this.connectVoicePanners();
+    }
+    
+    createGroupBus(group) {
+        // The group's level, then its fixed filters if it has any
+        const input = this.audioContext.createGain();
+        input.gain.value = group.gain !== undefined ? group.gain : 1;
+        
+        const nodes = [input];
+        ['highpass', 'lowpass'].forEach(type => {
+            if (!group[type]) return;
+            
+            const filter = this.audioContext.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = group[type];
+            nodes[nodes.length - 1].connect(filter);
+            nodes.push(filter);
+        });
+        
+        const output = nodes[nodes.length - 1];
+        output.connect(this.dryGain);
+        output.connect(this.wetGain);
+        
+        return { input, nodes };
+    }
+    
+    stopVoices() {
+        // Tears down every voice and group, e.g. for a patch with other groups
+        this.vibratoLFOs.forEach(({ lfo }) => {
+            try {
+                lfo.stop();
+            } catch (e) {}
+        });
+        this.oscillators.forEach(osc => {
+            try {
+                osc.stop();
+            } catch (e) {}
+        });
+        
+        this.voiceOutputs.forEach(node => node.disconnect());
+        this.voicePanners.forEach(panner => panner && panner.disconnect());
+        this.groupBuses.forEach(({ nodes }) => nodes.forEach(node => node.disconnect()));
+        
+        this.vibratoLFOs = [];
+        this.oscillators = [];
+        this.voiceSpecs = [];
+        this.voiceLayout = [];
+        this.voiceLevels = [];
+        this.gainNodes = [];
+        this.levelNodes = [];
+        this.voiceOutputs = [];
+        this.voicePanners = [];
+        this.groupBuses = [];
+        this.fundamentalFilters = [];
+        this.pulseScheduler = null;
+        this.pulsedVoices = [];
+        this.bursting = false;
+        this.targetFrequencies = [];
+        this.pulseLevels = [];
+    }
+    
+    rebuildVoices() {
+        // Other groups: new voices in place of the old, with fresh pulses
+        this.stopVoices();
+        this.buildVoices();
+        this.scheduledEvents = []; // the old voices' pulses
         this.updateFrequencies();
+        this.createPulseScheduler(this.audioContext.currentTime);
+        this.scheduleAhead();
+    }
+    
+    startVoice(index, spec) {
+        const voice = createVoice(this.audioContext, spec, this.random.graph);
+        
+        voice.frequency.value = this.targetFrequencies[index];
+        this.vibratoLFOs[index].lfoGain.connect(voice.frequency);
+        voice.output.connect(this.gainNodes[index]);
+        voice.start();
+        
+        this.oscillators[index] = voice;
+        this.voiceSpecs[index] = spec;
+    }
+    
+    updateVoiceTypes() {
+        // Swaps the voices whose spec the patch changed; the new one picks up
+        // the pitch and timbre on the next update
+        this.voiceSpecs.forEach((spec, i) => {
+            const newSpec = getVoiceSpec(this.patch, i);
+            if (JSON.stringify(newSpec) === JSON.stringify(spec)) return;
+            
+            const old = this.oscillators[i];
+            try {
+                old.stop();
+            } catch (e) {}
+            old.output.disconnect();
+            this.vibratoLFOs[i].lfoGain.disconnect();
+            
+            this.startVoice(i, newSpec);
+        });
+    }
+    
+    connectVoicePanners() {
+        // (Re)wires every voice through a panner for the layout's mode
+        const mode = this.spatialLayout.mode;
+        
+        this.voiceOutputs.forEach((output, i) => {
+            output.disconnect();
+            if (this.voicePanners[i]) {
+                this.voicePanners[i].disconnect();
+            }
+            
+            const panner = mode === 'off' ? null : this.createVoicePanner(mode);
+            const node = panner || output;
+            if (panner) {
+                output.connect(panner);
+            }
+            node.connect(this.groupBuses[this.voiceLayout[i].group].input);
+            
+            this.voicePanners[i] = panner;
+        });
+    }
+    
+    createVoicePanner(mode) {
+        const ctx = this.audioContext;
+        
+        if (mode === 'stereo' && ctx.createStereoPanner) {
+            return ctx.createStereoPanner();
+        }
         
-        // Start sporadic behavior for ALL oscillators
-        this.startSporadicOscillators();
+        // HRTF for binaural; equal-power where StereoPannerNode is missing (older Safari)
+        const panner = ctx.createPanner();
+        panner.panningModel = mode === 'binaural' ? 'HRTF' : 'equalpower';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 1;
+        panner.rolloffFactor = 0; // direction only; distance doesn't change the level
+        return panner;
+    }
+    
+    updateVoicePositions(now) {
+        const positions = evaluateSpatialLayout(this.spatialLayout, this.voicePanners.length, {
+            heading: this.heading,
+            latitude: this.latitude,
+            longitude: this.longitude,
+            sunAzimuth: this.sunAzimuth,
+            sunElevation: this.sunElevation,
+            moonAzimuth: this.moonAzimuth,
+            moonElevation: this.moonElevation
+        });
+        
+        this.voicePanners.forEach((panner, i) => {
+            if (!panner) return;
+            
+            const azimuth = toRadians(positions[i].azimuth);
+            const elevation = toRadians(positions[i].elevation);
+            
+            // Listener faces -z with +x to the right and +y up
+            const x = Math.sin(azimuth) * Math.cos(elevation);
+            const y = Math.sin(elevation);
+            const z = -Math.cos(azimuth) * Math.cos(elevation);
+            
+            if (panner.pan) {
+                panner.pan.setTargetAtTime(x, now, SPATIAL_SMOOTHING);
+            } else if (panner.positionX) {
+                panner.positionX.setTargetAtTime(x, now, SPATIAL_SMOOTHING);
+                panner.positionY.setTargetAtTime(y, now, SPATIAL_SMOOTHING);
+                panner.positionZ.setTargetAtTime(z, now, SPATIAL_SMOOTHING);
+            } else {
+                panner.setPosition(x, y, z);
+            }
+        });
     }
     
-    createReverbImpulse() {
+    buildWindLayer() {
+        const ctx = this.audioContext;
+        
+        const source = ctx.createBufferSource();
+        source.buffer = this.createNoiseBuffer();
+        source.loop = true;
+        
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 800;
+        filter.Q.value = 0.8;
+        
+        const gain = ctx.createGain();
+        gain.gain.value = 0; // silent until there is wind
+        
+        // Slow LFO on the level for gusts; its depth follows the wind level
+        const gust = ctx.createOscillator();
+        const gustDepth = ctx.createGain();
+        gust.frequency.value = 0.1 + this.random.graph() * 0.15;
+        gustDepth.gain.value = 0;
+        gust.connect(gustDepth);
+        gustDepth.connect(gain.gain);
+        
+        // Older Safari has no StereoPannerNode; the wind is then centred
+        const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+        
+        source.connect(filter);
+        filter.connect(gain);
+        const output = panner || gain;
+        if (panner) gain.connect(panner);
+        output.connect(this.dryGain);
+        output.connect(this.wetGain);
+        
+        source.start();
+        gust.start();
+        
+        this.wind = { source, filter, gain, gust, gustDepth, panner };
+    }
+    
+    buildZoneLayers() {
+        // One oscillator per drone, silent until its zone fades in
+        this.zones.forEach((zone, zoneIndex) => {
+            zone.layers.forEach(layer => {
+                const oscillator = this.audioContext.createOscillator();
+                const gain = this.audioContext.createGain();
+                
+                oscillator.type = layer.waveform || 'sine';
+                oscillator.frequency.value = layer.frequency || 100;
+                gain.gain.value = 0;
+                
+                oscillator.connect(gain);
+                gain.connect(this.dryGain);
+                gain.connect(this.wetGain);
+                oscillator.start();
+                
+                this.zoneLayers.push({ zoneIndex, layer, oscillator, gain });
+            });
+        });
+    }
+    
+    stopZoneLayers() {
+        this.zoneLayers.forEach(({ oscillator, gain }) => {
+            try {
+                oscillator.stop();
+            } catch (e) {}
+            gain.disconnect();
+        });
+        this.zoneLayers = [];
+    }
+    
+    buildDropletLayer() {
+        this.dropletBuffer = this.createDropletBuffer();
+        
+        this.dropletBus = this.audioContext.createGain();
+        this.dropletBus.connect(this.dryGain);
+        this.dropletBus.connect(this.wetGain);
+    }
+    
+    createNoiseBuffer() {
+        // Brown noise (integrated white noise): deeper, more like wind than hiss
         const sampleRate = this.audioContext.sampleRate;
-        const length = sampleRate * 3.5;
-        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+        const length = sampleRate * 4;
+        const buffer = this.audioContext.createBuffer(2, length, sampleRate);
+        const random = this.random.graph;
         
         for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
+            const channelData = buffer.getChannelData(channel);
+            let last = 0;
             for (let i = 0; i < length; i++) {
-                const decay = Math.pow(1 - i / length, 2.5);
-                channelData[i] = (Math.random() * 2 - 1) * decay;
+                last = (last + 0.02 * (random() * 2 - 1)) / 1.02;
+                channelData[i] = last * 3.5;
             }
         }
         
-        return impulse;
+        return buffer;
     }
     
-    startSporadicOscillators() {
-        // Oscillators 0-3: Fixed timing (not speed-dependent)
-        // Oscillators 4-7: Pulse rate controlled by speed
+    createDropletBuffer() {
+        // A water drop: a short sine whose pitch rises as it decays
+        const sampleRate = this.audioContext.sampleRate;
+        const length = Math.ceil(sampleRate * 0.04);
+        const buffer = this.audioContext.createBuffer(1, length, sampleRate);
+        const channelData = buffer.getChannelData(0);
         
-        for (let i = 0; i < 8; i++) {
-            this.scheduleSporadicPulse(i);
+        let phase = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const frequency = 1200 + 1800 * (t / 0.04);
+            phase += 2 * Math.PI * frequency / sampleRate;
+            channelData[i] = Math.sin(phase) * Math.exp(-t / 0.008);
         }
+        
+        return buffer;
     }
     
-    scheduleSporadicPulse(oscIndex) {
-        // Speed-dependent timing for oscillators 4-7
-        const isSpeedControlled = oscIndex >= 4;
+    // Schedules droplets from nextDropletTime up to `until` (audio-clock
+    // seconds) at the current dropletRate, as a Poisson process
+    scheduleDroplets(until) {
+        if (!this.isRunning || !this.params) return;
         
-        let interval, duration;
+        const rate = Math.min(this.params.dropletRate, 200);
+        if (rate <= 0) {
+            // Dry: just keep the clock moving so rain starts "now" when it comes
+            this.nextDropletTime = Math.max(this.nextDropletTime, until);
+            return;
+        }
+        
+        while (this.nextDropletTime < until) {
+            this.playDroplet(this.nextDropletTime);
+            this.nextDropletTime += -Math.log(1 - this.random.droplets()) / rate;
+        }
+    }
+    
+    playDroplet(when) {
+        const ctx = this.audioContext;
+        const source = ctx.createBufferSource();
+        const gain = ctx.createGain();
         
-        if (isSpeedControlled) {
-            // Speed affects pulse frequency
-            // Slow (0 m/s) = 8-16 sec intervals (infrequent)
-            // Fast (35.8 m/s / 80 mph) = 1-4 sec intervals (rapid)
-            const speedNorm = Math.min(this.speed / 35.8, 1);
-            const minInterval = 8000 - (speedNorm * 7000); // 8s to 1s
-            const maxInterval = 16000 - (speedNorm * 12000); // 16s to 4s
-            interval = minInterval + Math.random() * (maxInterval - minInterval);
+        source.buffer = this.dropletBuffer;
+        source.playbackRate.value = 0.6 + this.random.droplets(); // drop size
+        gain.gain.value = DROPLET_LEVEL * (0.2 + 0.8 * this.random.droplets());
+        
+        source.connect(gain);
+        if (ctx.createStereoPanner) {
+            const panner = ctx.createStereoPanner();
+            panner.pan.value = this.random.droplets() * 2 - 1;
+            gain.connect(panner);
+            panner.connect(this.dropletBus);
         } else {
-            // Fixed timing for oscillators 0-3
-            interval = 3000 + Math.random() * 13000; // 3-16 seconds
+            gain.connect(this.dropletBus);
         }
         
-        duration = 1000 + Math.random() * 5000; // 1-6 seconds (same for all)
+        source.start(when);
+    }
+    
+    // The loaded impulse response, into the reverb at once (a file that
+    // no longer decodes leaves the procedural room)
+    async loadImpulseResponse() {
+        const file = this.impulseResponse;
+        if (!file) return;
         
-        const fadeIn = 0.2 + Math.random() * 0.5; // 0.2-0.7s fade in
-        const fadeOut = 0.3 + Math.random() * 1.0; // 0.3-1.3s fade out
+        try {
+            const buffer = await decodeImpulseResponse(this.audioContext, file.data);
+            if (this.impulseResponse === file) {
+                this.reverb.setImpulse(buffer, this.audioContext.currentTime, 0);
+            }
+        } catch (error) {
+            console.error('Impulse response error:', error);
+            this.impulseResponse = null;
+        }
+    }
+    
+    updateReverb(params, now) {
+        if (this.impulseResponse) return;
         
-        const timer = setTimeout(() => {
-            if (!this.isRunning) return;
-            
-            this.fadeIn(oscIndex, fadeIn, 0.04); // Volume 0.04 per oscillator
-            
-            setTimeout(() => {
-                if (!this.isRunning) return;
-                this.fadeOut(oscIndex, fadeOut);
-                
-                // Schedule next pulse
-                this.scheduleSporadicPulse(oscIndex);
-            }, duration);
-        }, interval);
+        // Rounded so that only an audible change builds a new room: tenths
+        // of a second and sixths of an octave
+        const decay = Math.round(Math.max(REVERB_DECAY_RANGE[0], params.reverbDecay) * 10) / 10;
+        const damping = Math.pow(2, Math.round(Math.log2(Math.max(REVERB_DAMPING_RANGE[0], params.reverbDamping)) * 6) / 6);
+        const key = `${this.reverbSpace} ${decay} ${damping}`;
+        
+        // A change during a crossfade waits for the next update after it
+        if (key === this.reverbKey || this.reverb.isFading(now)) return;
+        this.reverbKey = key;
         
-        this.sporadicTimers.push(timer);
+        const impulse = createRoomImpulse(this.audioContext, { space: this.reverbSpace, decay, damping }, this.random.reverb);
+        this.reverb.setImpulse(impulse, now);
     }
     
-    fadeIn(oscIndex, duration, targetVolume) {
+    planPulse(oscIndex) {
+        // Returns the timing of the next pulse in seconds:
+        // silence before it, how long it sounds, and its fades
+        
+        // Ranges come from the patch (by default oscillators 4-7 pulse faster
+        // with speed, 0-3 keep a fixed 3-16s, all of them quicken with
+        // walking cadence; all sound for 1-6s), and how values spread within
+        // them from the patch's `pulses` section
+        const voice = this.params.voices[oscIndex];
+        const shape = getPulseShape(this.patch, oscIndex);
+        const random = this.random.pulses;
+        
+        const interval = sampleDistribution(shape.interval, voice.pulseIntervalMin, voice.pulseIntervalMax, random);
+        const duration = sampleDistribution(shape.duration, voice.pulseDurationMin, voice.pulseDurationMax, random);
+        
+        const fadeIn = 0.2 + random() * 0.5; // 0.2-0.7s fade in
+        const fadeOut = 0.3 + random() * 1.0; // 0.3-1.3s fade out
+        
+        // The fade out starts from the full level, so a patch's shorter
+        // pulses still last out their fade in; clamped after the draws so a
+        // seed plays the same pulses as before
+        return { interval, duration: Math.max(duration, fadeIn), fadeIn, fadeOut };
+    }
+    
+    // `when` is an audio-clock time; defaults to now
+    fadeIn(oscIndex, duration, targetVolume, when) {
         if (!this.isRunning || !this.gainNodes[oscIndex]) return;
-        const now = this.audioContext.currentTime;
+        const now = when !== undefined ? when : this.audioContext.currentTime;
         const gainNode = this.gainNodes[oscIndex];
         gainNode.gain.cancelScheduledValues(now);
         gainNode.gain.setValueAtTime(0, now);
         gainNode.gain.linearRampToValueAtTime(targetVolume, now + duration);
+        this.pulseLevels[oscIndex] = targetVolume;
     }
     
-    fadeOut(oscIndex, duration) {
+    fadeOut(oscIndex, duration, when) {
         if (!this.isRunning || !this.gainNodes[oscIndex]) return;
-        const now = this.audioContext.currentTime;
+        const now = when !== undefined ? when : this.audioContext.currentTime;
         const gainNode = this.gainNodes[oscIndex];
         gainNode.gain.cancelScheduledValues(now);
-        gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+        gainNode.gain.setValueAtTime(this.pulseLevels[oscIndex], now);
         gainNode.gain.linearRampToValueAtTime(0, now + duration);
+        this.pulseLevels[oscIndex] = 0;
     }
     
-    stop() {
+    // { voice (its index), role, group } for events
+    describeVoice(index) {
+        const { role, group } = this.voiceLayout[index];
+        return { voice: index, role, group };
+    }
+    
+    // Holds an event planned on the audio clock (at event.time) until then
+    scheduleEvent(name, event) {
+        if (this.isOffline) return;
+        this.scheduledEvents.push({ name, event });
+    }
+    
+    deliverEvents() {
         if (!this.isRunning) return;
         
-        // Clear sporadic timers
-        this.sporadicTimers.forEach(timer => clearTimeout(timer));
-        this.sporadicTimers = [];
+        const now = this.audioContext.currentTime;
+        const due = this.scheduledEvents.filter(({ event }) => event.time <= now);
+        if (!due.length) return;
         
-        // Stop LFOs
-        this.vibratoLFOs.forEach(({ lfo }) => {
-            try {
-                lfo.stop();
-            } catch (e) {}
-        });
-        this.vibratoLFOs = [];
+        this.scheduledEvents = this.scheduledEvents.filter(({ event }) => event.time > now);
+        due.sort((a, b) => a.event.time - b.event.time)
+            .forEach(({ name, event }) => this.emit(name, event));
+    }
+    
+    emitStateChange(change) {
+        if (this.isOffline || !this.hasListeners('stateChange')) return;
+        this.emit('stateChange', { change, state: this.getState() });
+    }
+    
+    // What each voice is doing now, for display: [{ role, group, level,
+    // frequency }], where level is its pulse envelope from 0 (silent) to 1
+    // (its full level) and frequency the pitch it's playing or gliding to
+    getVoiceActivity() {
+        return this.gainNodes.map((gainNode, i) => ({
+            role: this.voiceLayout[i].role,
+            group: this.voiceLayout[i].group,
+            level: this.voiceLevels[i] > 0 ? Math.min(1, gainNode.gain.value / this.voiceLevels[i]) : 0,
+            frequency: this.targetFrequencies[i] || null
+        }));
+    }
+    
+    stop() {
+        if (!this.isRunning || this.isOffline) return;
         
-        // Stop oscillators
-        this.oscillators.forEach(osc => {
+        // Stop topping up the schedule
+        clearInterval(this.scheduleTimer);
+        this.scheduleTimer = null;
+        clearInterval(this.zoneTimer);
+        this.zoneTimer = null;
+        clearInterval(this.eventTimer);
+        this.eventTimer = null;
+        this.scheduledEvents = [];
+        
+        // Stop the wind
+        if (this.wind) {
             try {
-                osc.stop();
+                this.wind.source.stop();
+                this.wind.gust.stop();
             } catch (e) {}
-        });
+        }
+        
+        this.stopZoneLayers();
+        
+        // Stop oscillators and LFOs
+        this.stopVoices();
         
         if (this.audioContext) {
             this.audioContext.close();
         }
         
+        this.releaseGraph();
+        this.emitStateChange('stop');
+    }
+    
+    releaseGraph() {
+        this.vibratoLFOs = [];
         this.oscillators = [];
+        this.voiceSpecs = [];
+        this.voiceLayout = [];
+        this.voiceLevels = [];
         this.gainNodes = [];
-        this.convolver = null;
+        this.levelNodes = [];
+        this.voiceOutputs = [];
+        this.voicePanners = [];
+        this.groupBuses = [];
+        this.fundamentalFilters = [];
+        this.reverb = null;
+        this.reverbKey = null;
         this.masterGain = null;
+        this.analyser = null;
+        this.masterBus = null;
+        this.hasMasterWorklet = false;
         this.dryGain = null;
         this.wetGain = null;
-        this.lowPassFilter = null;
-        this.highPassFilter = null;
+        this.toneFilter = null;
+        this.wind = null;
+        this.zoneLayers = [];
+        this.zoneTracker.reset();
+        this.dropletBuffer = null;
+        this.dropletBus = null;
+        this.nextDropletTime = 0;
+        this.pulseScheduler = null;
+        this.pulsedVoices = [];
+        this.bursting = false;
+        this.targetFrequencies = [];
+        this.pulseLevels = [];
+        this.chordWeights = [];
+        this.chordKey = null;
         this.audioContext = null;
         this.isRunning = false;
     }
     
+    async renderOffline(duration, timeline = [], options = {}) {
+        // Render `duration` seconds straight to a WAV Blob, faster than real time.
+        // timeline: [{ time: seconds, data: { latitude, longitude, ... } }, ...]
+        // Each entry is applied like setEnvironmentalData() at its time.
+        // options.seed overrides this.seed; the seed used ends up in activeSeed.
+        if (this.isRunning) {
+            throw new Error('Stop the engine before rendering offline');
+        }
+        
+        const sampleRate = options.sampleRate || 44100;
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        
+        this.audioContext = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        this.isOffline = true;
+        
+        try {
+            this.seedRandom(options.seed);
+            this.hasMasterWorklet = await MasterBus.prepare(this.audioContext);
+            this.buildGraph();
+            await this.loadImpulseResponse();
+            this.isRunning = true;
+            
+            this.scheduleTimeline(duration, timeline);
+            
+            const rendered = await this.audioContext.startRendering();
+            const wav = encodeWAV(rendered, { bitDepth: options.bitDepth });
+            return new Blob([wav], { type: 'audio/wav' });
+        } finally {
+            this.releaseGraph();
+            this.isOffline = false;
+        }
+    }
+    
+    scheduleTimeline(duration, timeline) {
+        // Walks the timeline and every oscillator's pulses in time order so that
+        // each pulse is planned with the environmental data current at that moment
+        const events = timeline
+            .filter(event => event.time < duration)
+            .sort((a, b) => a.time - b.time);
+        let nextEvent = 0;
+        
+        // Data at or before time 0 is the starting state
+        while (nextEvent < events.length && events[nextEvent].time <= 0) {
+            this.assignEnvironmentalData(events[nextEvent].data);
+            nextEvent++;
+        }
+        this.updateFrequencies(0);
+        this.nextDropletTime = 0;
+        this.createPulseScheduler(0);
+        
+        // Pulses and rain up to each event are planned with the data before it
+        let lastUpdate = 0;
+        events.slice(nextEvent).forEach(event => {
+            this.pulseScheduler.advance(event.time);
+            this.scheduleDroplets(event.time);
+            this.stepZoneFades(lastUpdate, event.time);
+            
+            this.assignEnvironmentalData(event.data);
+            this.updateFrequencies(event.time);
+            lastUpdate = event.time;
+        });
+        
+        this.pulseScheduler.advance(duration);
+        this.scheduleDroplets(duration);
+        this.stepZoneFades(lastUpdate, duration);
+    }
+    
+    stepZoneFades(from, until) {
+        // Offline stand-in for zoneTimer: updates between timeline events
+        // while a zone crossfades
+        for (let time = from + ZONE_FADE_STEP; time < until; time += ZONE_FADE_STEP) {
+            if (!this.zoneTracker.isFading(time)) break;
+            this.updateFrequencies(time);
+        }
+    }
+    
     setEnvironmentalData(lat, lon, speed, temp, humidity, heading, timeOfDay) {
-        this.latitude = lat;
-        this.longitude = lon;
-        this.speed = speed;
-        this.temperature = temp;
-        this.humidity = humidity;
-        this.heading = heading;
-        this.timeOfDay = timeOfDay;
+        // Accepts either positional values or one object keyed like currentData
+        if (typeof lat === 'object') {
+            this.assignEnvironmentalData(lat);
+        } else {
+            this.latitude = lat;
+            this.longitude = lon;
+            this.speed = speed;
+            this.temperature = temp;
+            this.humidity = humidity;
+            this.heading = heading;
+            this.timeOfDay = timeOfDay;
+            this.timestamp = null;
+        }
         
         this.updateFrequencies();
     }
     
-    calculateSunElevation() {
-        // Simplified sun elevation calculation
-        // Solar noon = 0.5, sunrise/sunset = 0 or 1
-        // This creates a sine wave peaking at noon
+    setPatch(patch) {
+        const groups = JSON.stringify(getVoiceGroups(this.patch));
+        this.patch = validatePatch(clonePatch(patch));
+        
+        if (this.isRunning && JSON.stringify(getVoiceGroups(this.patch)) !== groups) {
+            this.rebuildVoices();
+        } else {
+            if (this.isRunning) this.updateVoiceTypes();
+            this.updateFrequencies();
+        }
+        this.emitStateChange('patch');
+    }
+    
+    setChordMap(map) {
+        this.chordMap = validateChordMap(cloneChordMap(map));
+        this.updateFrequencies();
+        this.emitStateChange('chordMap');
+    }
+    
+    setZones(zones) {
+        // zones: parseZones() result; [] removes them
+        if (this.isRunning) this.stopZoneLayers();
         
-        const hourAngle = (this.timeOfDay - 0.5) * Math.PI * 2; // -π to π
-        const declination = 0; // Simplified (equinox)
-        const latRad = this.latitude * Math.PI / 180;
+        this.zones = zones;
+        this.zoneTracker = new ZoneTracker(zones);
         
-        // Solar elevation angle (simplified)
-        const elevation = Math.asin(
-            Math.sin(latRad) * Math.sin(declination) +
-            Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle)
-        ) * 180 / Math.PI;
+        if (this.isRunning) this.buildZoneLayers();
+        this.updateFrequencies();
+        this.emitStateChange('zones');
+    }
+    
+    setSpatialLayout(layout) {
+        const previousMode = this.spatialLayout.mode;
+        this.spatialLayout = validateSpatialLayout(cloneSpatialLayout(layout));
         
-        return Math.max(-90, Math.min(90, elevation));
+        if (this.isRunning && this.spatialLayout.mode !== previousMode) {
+            this.connectVoicePanners();
+        }
+        this.updateFrequencies();
+        this.emitStateChange('spatialLayout');
+    }
+    
+    setTuning(settings) {
+        // Throws on an unknown tuning or scale, keeping the current one
+        this.tuning = new Tuning(settings);
+        this.updateFrequencies();
+        this.emitStateChange('tuning');
+    }
+    
+    setReverbSpace(space) {
+        if (!(space in REVERB_SPACES)) {
+            throw new Error(`Unknown reverb space "${space}"`);
+        }
+        this.reverbSpace = space;
+        this.updateFrequencies();
+        this.emitStateChange('reverbSpace');
+    }
+    
+    // Any of { volume, ceiling, target, saturation } (see master-bus.js);
+    // throws on a value out of range, keeping the current settings
+    setMasterSettings(settings) {
+        const merged = { ...this.masterSettings, ...settings };
+        validateMasterSettings(merged);
+        this.masterSettings = merged;
+        
+        if (this.isRunning && !this.isOffline) {
+            this.masterBus.set(merged);
+        }
+        this.emitStateChange('masterSettings');
+    }
+    
+    // An impulse response file ({ name, data: ArrayBuffer }) for the reverb
+    // instead of the procedural room, or null to go back to the room. Throws
+    // if the browser can't decode it.
+    async setImpulseResponse(file) {
+        if (!file) {
+            this.impulseResponse = null;
+            this.reverbKey = null;
+            this.updateFrequencies();
+            this.emitStateChange('impulseResponse');
+            return;
+        }
+        
+        // Stopped, decode once anyway to turn a bad file away now
+        const ctx = this.audioContext || new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(2, 1, 44100);
+        const buffer = await decodeImpulseResponse(ctx, file.data);
+        
+        this.impulseResponse = file;
+        if (this.isRunning && this.audioContext === ctx) {
+            this.reverb.setImpulse(buffer, ctx.currentTime);
+        }
+        this.emitStateChange('impulseResponse');
+    }
+    
+    assignEnvironmentalData(data) {
+        ENVIRONMENTAL_KEYS.forEach(key => {
+            if (typeof data[key] === 'number' || (data[key] === null && NULLABLE_KEYS.includes(key))) {
+                this[key] = data[key];
+            }
+        });
+        
+        // A time of day without a timestamp means "today at that time"
+        if (typeof data.timeOfDay === 'number' && typeof data.timestamp !== 'number') {
+            this.timestamp = null;
+        }
+        
+        if (typeof data.pressure === 'number') {
+            this.updatePressureTrend();
+        }
     }
     
-    updateFrequencies() {
+    updatePressureTrend() {
+        const time = this.getDate().getTime();
+        const history = this.pressureHistory;
+        
+        // Jumping back in time (e.g. seeking a replay) invalidates the history
+        if (history.length > 0 && time < history[history.length - 1].time) {
+            history.length = 0;
+        }
+        
+        // Readings arrive every few minutes but are passed in far more often;
+        // only keep changes, plus one sample every 10 minutes
+        const last = history[history.length - 1];
+        if (!last || this.pressure !== last.pressure || time - last.time >= 600000) {
+            history.push({ time, pressure: this.pressure });
+        }
+        
+        while (history.length > 1 && time - history[0].time > PRESSURE_TREND_WINDOW) {
+            history.shift();
+        }
+        
+        this.pressureTrend = this.pressure - history[0].pressure;
+    }
+    
+    getDate() {
+        if (this.timestamp !== null) {
+            return new Date(this.timestamp);
+        }
+        
+        // No timestamp (e.g. a hand-written render timeline):
+        // today at timeOfDay on the device's clock
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return new Date(date.getTime() + this.timeOfDay * 86400000);
+    }
+    
+    updateSunPosition() {
+        const date = this.getDate();
+        const sun = getSunPosition(date, this.latitude, this.longitude);
+        
+        this.sunElevation = sun.elevation;
+        this.sunAzimuth = sun.azimuth;
+        this.sunTimes = getSunTimes(date, this.latitude, this.longitude);
+        this.twilight = getTwilightPhase(sun.elevation);
+        this.dayProgress = getDayProgress(date, this.sunTimes);
+    }
+    
+    updateMoonPosition() {
+        const date = this.getDate();
+        const moon = getMoonPosition(date, this.latitude, this.longitude);
+        const illumination = getMoonIllumination(date);
+        
+        this.moonElevation = moon.elevation;
+        this.moonAzimuth = moon.azimuth;
+        this.moonIllumination = illumination.fraction;
+        this.moonPhase = illumination.phase;
+    }
+    
+    // `when` is the audio-clock time the new values take effect; defaults to now
+    updateFrequencies(when) {
         if (!this.isRunning) return;
         
-        // Calculate sun elevation
-        this.sunElevation = this.calculateSunElevation();
+        const now = when !== undefined ? when : this.audioContext.currentTime;
+        
+        // Calculate sun and moon positions for the actual date and location
+        this.updateSunPosition();
+        this.updateMoonPosition();
         
-        // Map sun elevation to fundamental frequency
-        // Elevation -90° to 90°, but we care about -20° to 70° roughly
-        // Solar noon (high elevation) = 200Hz (low freq)
-        // Sunrise/sunset (low/negative elevation) = 4800Hz (high freq)
-        const elevationNorm = Math.max(-20, Math.min(70, this.sunElevation));
-        const elevationFactor = (elevationNorm + 20) / 90; // 0 to 1
+        // Evaluate the mapping patch against the current environment
+        this.params = evaluatePatch(this.patch, this.getModulationSources(), this.getDefaultParams());
+        const params = this.params;
+        
+        // Sound zones at the current position override the patch as they fade in
+        if (this.zoneTracker.update(this.latitude, this.longitude, now) && this.onZoneChange && !this.isOffline) {
+            this.onZoneChange(this.zoneTracker.activeZones);
+        }
+        const zoneWeights = this.zones.map((zone, i) => this.zoneTracker.weight(i, now));
+        this.applyZoneParams(params, zoneWeights);
         
-        // INVERTED: high elevation = low freq
-        this.fundamentalFreq = 4800 - (elevationFactor * 4600); // 4800 to 200
+        this.updatePulses(params, now);
+        
+        this.fundamentalFreq = params.fundamental;
         
         // Temperature drift (hotter = more drift)
         const tempDrift = (this.temperature - 20) * 0.5; // ±10Hz per 20°C deviation
-        const randomDrift = (Math.random() - 0.5) * Math.abs(tempDrift);
-        
-        // Get compass chord (3-4 ratios depending on direction)
-        const compassChord = this.getCompassChord();
+        const randomDrift = (this.random.drift() - 0.5) * Math.abs(tempDrift);
         
         // Determine if we use multipliers (low fund) or divisors (high fund)
         const useSubharmonics = this.fundamentalFreq > 2000;
         
-        // Set fundamental (oscillator 0) - always the root
-        const fund = this.fundamentalFreq + randomDrift;
-        this.setOscillatorFrequency(0, fund);
+        // Pulled toward the room's dominant pitch, in whichever octave of it
+        // is nearest
+        let fundamental = this.fundamentalFreq + randomDrift;
+        if (this.micPitch !== null && params.pitchPull > 0) {
+            const octaves = Math.round(Math.log2(fundamental / this.micPitch));
+            const target = this.micPitch * Math.pow(2, octaves);
+            fundamental *= Math.pow(target / fundamental, Math.min(1, params.pitchPull));
+        }
         
-        // Oscillators 1, 2, 4, 5, 6, 7 = 6 chord tones
-        // We'll distribute the chord tones across octaves
-        const harmonicIndices = [1, 2, 4, 5, 6, 7];
+        const fund = this.tuning.quantize(fundamental);
         
-        harmonicIndices.forEach((oscIdx, i) => {
-            // Cycle through chord tones, doubling at octaves
-            const chordTone = compassChord[i % compassChord.length];
-            const octaveMultiplier = Math.floor(i / compassChord.length) + 1;
+        // Voices the patch gives their own frequency (by default oscillator 3,
+        // driven by speed) are set directly; the rest play their role: the
+        // fundamental is always the root, drones sit at a ratio of it, and
+        // each group's chord voices become its chord tones
+        const chordGroups = this.groupBuses.map(() => []);
+        params.voices.forEach((voice, oscIdx) => {
+            const layoutVoice = this.voiceLayout[oscIdx];
             
-            let harmonic;
-            if (useSubharmonics) {
-                // High fundamental: use subharmonics (divide)
-                harmonic = fund / (chordTone * octaveMultiplier);
+            if (voice.frequency !== null) {
+                this.setOscillatorFrequency(oscIdx, voice.frequency, now);
+            } else if (layoutVoice.role === 'chord') {
+                chordGroups[layoutVoice.group].push(oscIdx);
+            } else if (layoutVoice.role === 'drone') {
+                this.setPitch(oscIdx, this.tuning.quantize(fund * layoutVoice.ratio), now);
             } else {
-                // Low fundamental: use harmonics (multiply)
-                harmonic = fund * chordTone * octaveMultiplier;
+                this.setPitch(oscIdx, fund, now);
             }
+        });
+        
+        // Compass chord for the current heading, spread across the chord
+        // voices in octaves; tones fading in or out between chords have a
+        // weight below 1
+        const chordWeights = params.voices.map(() => 1);
+        chordGroups.forEach(harmonicIndices => {
+            if (!harmonicIndices.length) return;
+            const chordSlots = this.evaluateChords(harmonicIndices.length, zoneWeights);
             
-            this.setOscillatorFrequency(oscIdx, harmonic);
+            harmonicIndices.forEach((oscIdx, i) => {
+                const { weight, octave } = chordSlots[i];
+                
+                // Spread widens (or narrows) the doublings above the first chord
+                const ratio = chordSlots[i].ratio * Math.pow(octave, params.spread - 1);
+                
+                let harmonic;
+                if (useSubharmonics) {
+                    // High fundamental: use subharmonics (divide)
+                    harmonic = fund / ratio;
+                } else {
+                    // Low fundamental: use harmonics (multiply)
+                    harmonic = fund * ratio;
+                }
+                
+                this.setPitch(oscIdx, this.tuning.quantize(harmonic), now);
+                chordWeights[oscIdx] = weight;
+            });
         });
         
-        // Oscillator 3: Direct speed control (independent of fundamental)
-        // Slow (0 m/s) = 100Hz, Fast (35.8 m/s / 80 mph) = 2000Hz
-        const speedNorm = Math.min(this.speed / 35.8, 1);
-        const speedFreq = 100 + (speedNorm * 1900);
-        this.setOscillatorFrequency(3, speedFreq);
+        this.chordWeights = chordWeights;
         
-        // Update vibrato/tremolo based on speed (INVERTED)
-        // Slow speed = more vibrato, fast speed = less
-        const speedNorm = Math.min(this.speed / 35.8, 1); // 0-35.8 m/s (80 mph)
-        const vibratoDepth = 5.5 - (speedNorm * 5); // 5.5Hz at 0 speed, 0.5Hz at max speed
+        // Per-voice level, detune, vibrato and timbre
+        params.voices.forEach((voice, i) => {
+            this.levelNodes[i].gain.setValueAtTime(Math.max(0, voice.gain * chordWeights[i]), now);
+            this.oscillators[i].detune.setValueAtTime(voice.detune, now);
+            this.oscillators[i].setTimbre(voice, this.targetFrequencies[i], now);
+            this.vibratoLFOs[i].lfoGain.gain.setValueAtTime(voice.lfoDepth, now);
+            this.vibratoLFOs[i].lfo.frequency.setValueAtTime(Math.max(0, voice.lfoRate), now);
+        });
         
-        this.vibratoLFOs.forEach(({ lfoGain }) => {
-            lfoGain.gain.value = vibratoDepth;
+        // Filters on the fundamental
+        this.fundamentalFilters.forEach(({ highpass, lowpass }) => {
+            lowpass.frequency.setValueAtTime(params.lowpass, now);
+            highpass.frequency.setValueAtTime(params.highpass, now);
         });
         
-        // Update filters based on lat/lon
-        // Higher latitude = lower low-pass cutoff
-        // Lower latitude = higher low-pass cutoff
-        const latNorm = (this.latitude + 90) / 180; // 0 to 1
-        const lowPassFreq = 500 + latNorm * 4500; // 500Hz to 5000Hz
-        this.lowPassFilter.frequency.value = lowPassFreq;
+        // Reverb wet/dry and room
+        this.dryGain.gain.setValueAtTime(Math.max(0, params.dry), now);
+        this.wetGain.gain.setValueAtTime(Math.max(0, params.wet), now);
+        this.updateReverb(params, now);
         
-        // Longitude affects high-pass
-        const lonNorm = (this.longitude + 180) / 360; // 0 to 1
-        const highPassFreq = 50 + lonNorm * 450; // 50Hz to 500Hz
-        this.highPassFilter.frequency.value = highPassFreq;
+        // Tone of the whole mix
+        this.toneFilter.frequency.setValueAtTime(Math.max(20, Math.min(20000, params.tone)), now);
+        
+        // Zone drones follow the fundamental (unless given a fixed frequency)
+        this.zoneLayers.forEach(({ zoneIndex, layer, oscillator, gain }) => {
+            const frequency = layer.frequency || this.tuning.quantize(fund * layer.ratio);
+            oscillator.frequency.setTargetAtTime(frequency, now, 0.1);
+            gain.gain.setTargetAtTime((layer.gain || 0.03) * zoneWeights[zoneIndex], now, 0.1);
+        });
         
-        // Update reverb wet/dry based on humidity
-        const humidityNorm = this.humidity / 100; // 0 to 1
-        this.dryGain.gain.value = 0.9 - (humidityNorm * 0.5); // 0.9 to 0.4
-        this.wetGain.gain.value = 0.1 + (humidityNorm * 0.6); // 0.1 to 0.7
+        // Voice positions against the heading
+        this.updateVoicePositions(now);
+        
+        // Wind layer; gusts swing the level by half either way
+        const windLevel = Math.max(0, params.noiseGain);
+        this.wind.gain.gain.setTargetAtTime(windLevel, now, 0.5);
+        this.wind.gustDepth.gain.setTargetAtTime(windLevel * 0.5, now, 0.5);
+        this.wind.filter.frequency.setTargetAtTime(Math.max(20, Math.min(20000, params.noiseFilter)), now, 0.5);
+        if (this.wind.panner) {
+            this.wind.panner.pan.setTargetAtTime(Math.max(-1, Math.min(1, params.noisePan)), now, 0.5);
+        }
+        
+        // Notify UI (not while rendering offline) of where everything is
+        // heading; the oscillators themselves may still be gliding there
+        if (this.isOffline) return;
         
-        // Notify UI
         if (this.onFrequencyUpdate) {
-            const freqs = this.oscillators.map(osc => osc.frequency.value);
-            this.onFrequencyUpdate(freqs);
-        }
-    }
-    
-    getCompassChord() {
-        // Map compass heading (0-360°) to chord structures
-        // North (0°) = Major chord [1.0, 1.25, 1.5]
-        // East (90°) = Major 3rd chord [1.0, 1.25, 1.5625]
-        // South (180°) = Minor chord [1.0, 1.2, 1.5]
-        // West (270°) = Dominant 7th chord [1.0, 1.25, 1.5, 1.75]
-        
-        const headingNorm = this.heading % 360;
-        
-        // Define chord structures (ratios from root)
-        const northChord = [1.0, 1.25, 1.5];           // Major: root, maj3, p5
-        const eastChord = [1.0, 1.25, 1.5625];         // Major 3rd: root, maj3, maj6
-        const southChord = [1.0, 1.2, 1.5];            // Minor: root, min3, p5
-        const westChord = [1.0, 1.25, 1.5, 1.75];      // Dom7: root, maj3, p5, min7
-        
-        let chord;
-        
-        if (headingNorm < 90) {
-            // North to East (0° to 90°): Major → Major 3rd
-            const t = headingNorm / 90;
-            chord = this.interpolateChords(northChord, eastChord, t);
-        } else if (headingNorm < 180) {
-            // East to South (90° to 180°): Major 3rd → Minor
-            const t = (headingNorm - 90) / 90;
-            chord = this.interpolateChords(eastChord, southChord, t);
-        } else if (headingNorm < 270) {
-            // South to West (180° to 270°): Minor → Dom7
-            const t = (headingNorm - 180) / 90;
-            chord = this.interpolateChords(southChord, westChord, t);
-        } else {
-            // West to North (270° to 360°): Dom7 → Major
-            const t = (headingNorm - 270) / 90;
-            chord = this.interpolateChords(westChord, northChord, t);
+            this.onFrequencyUpdate(this.targetFrequencies.slice());
+        }
+        
+        const chord = this.getChord();
+        const last = this.chordKey;
+        if (!last || last.map !== this.chordMap || last.anchor !== chord.anchor) {
+            this.chordKey = { map: this.chordMap, anchor: chord.anchor };
+            this.emit('chordChange', { ...chord, time: now });
+        }
+        
+        if (this.hasListeners('paramsUpdate')) {
+            this.emit('paramsUpdate', { time: now, params: copyParams(params), frequencies: this.targetFrequencies.slice() });
+        }
+    }
+    
+    updatePulses(params, now) {
+        // Not there yet on the first update of a run
+        if (!this.pulseScheduler) return;
+        
+        // Pulse rates react at once (e.g. to walking cadence) rather than
+        // after the long silences planned before the change
+        // (the scheduler numbers only the pulsing voices)
+        const voices = this.pulsedVoices;
+        let moved = this.pulseScheduler.shorten(now, i => {
+            const voice = params.voices[voices[i]];
+            return Math.max(voice.pulseIntervalMin, voice.pulseIntervalMax);
+        });
+        
+        // A shake brings every silent voice in together
+        const bursting = params.burst >= BURST_THRESHOLD;
+        if (bursting && !this.bursting) {
+            voices.forEach((oscIdx, i) => {
+                if (this.pulseScheduler.trigger(i, now, { ...this.planPulse(oscIdx), fadeIn: BURST_FADE_IN })) {
+                    moved = true;
+                }
+            });
         }
+        this.bursting = bursting;
+        
+        // Live, schedule the moved pulses now; offline the timeline does
+        if (moved && !this.isOffline) this.scheduleAhead();
+    }
+    
+    applyZoneParams(params, zoneWeights) {
+        // Each zone pulls its parameters toward its own values by its fade
+        // weight; zones are in priority order, so the highest applies last
+        this.zones.forEach((zone, i) => {
+            const weight = zoneWeights[i];
+            if (weight <= 0) return;
+            
+            Object.keys(zone.params).forEach(target => {
+                const value = zone.params[target];
+                const blend = current => current + (value - current) * weight;
+                
+                if (PATCH_TARGETS[target].perVoice) {
+                    params.voices.forEach(voice => {
+                        voice[target] = blend(voice[target]);
+                    });
+                } else {
+                    params[target] = blend(params[target]);
+                }
+            });
+        });
+    }
+    
+    evaluateChords(voiceCount, zoneWeights) {
+        // The active chord map, crossfaded toward any zone's own map:
+        // pitches glide in ratio, fading tones blend their weight
+        let slots = evaluateChordMap(this.chordMap, this.heading, voiceCount);
+        
+        this.zones.forEach((zone, i) => {
+            const weight = zoneWeights[i];
+            if (!zone.chordMap || weight <= 0) return;
+            
+            const zoneSlots = evaluateChordMap(zone.chordMap, this.heading, voiceCount);
+            slots = slots.map((slot, s) => ({
+                ratio: slot.ratio * Math.pow(zoneSlots[s].ratio / slot.ratio, weight),
+                weight: slot.weight + (zoneSlots[s].weight - slot.weight) * weight,
+                octave: slot.octave
+            }));
+        });
         
-        return chord;
+        return slots;
     }
     
-    interpolateChords(chord1, chord2, t) {
-        // Interpolate between two chords
-        // Handle different chord lengths by padding with octaves
-        const maxLen = Math.max(chord1.length, chord2.length);
-        const c1 = [...chord1];
-        const c2 = [...chord2];
+    // The compass chord mostly heard at the current heading: the nearest
+    // anchor's index (anchor), label, heading and chord (its ratios), plus
+    // the labels of the anchors either side (from, to) and how far the
+    // heading is from one to the other (blend, 0-1). Zones' own chord maps
+    // aren't counted.
+    getChord() {
+        const anchors = this.chordMap.anchors;
+        const { from, to, fromIndex, toIndex, t } = findChordSegment(anchors, this.heading);
+        const index = t < 0.5 ? fromIndex : toIndex;
+        const anchor = anchors[index];
         
-        // Pad shorter chord with octave doublings
-        while (c1.length < maxLen) c1.push(c1[c1.length - 1] * 2);
-        while (c2.length < maxLen) c2.push(c2[c2.length - 1] * 2);
+        return {
+            anchor: index,
+            label: anchor.label || null,
+            heading: anchor.heading,
+            chord: anchor.chord.slice(),
+            from: from.label || null,
+            to: to.label || null,
+            blend: t
+        };
+    }
+    
+    // A snapshot of the engine as plain data: the environment, the sources
+    // the patch reads (sun and moon among them), the target value of every
+    // parameter, each voice, the chord, active zones, reverb, output and
+    // tuning. Parameters and voices are there once a run has started.
+    getState() {
+        const params = this.params;
+        const { system, root, scale, glide } = this.tuning.settings;
         
-        // Linear interpolation between ratios
-        return c1.map((val, i) => val + (c2[i] - val) * t);
+        const environment = {};
+        ENVIRONMENTAL_KEYS.forEach(key => {
+            environment[key] = this[key];
+        });
+        
+        return {
+            isRunning: this.isRunning,
+            isOffline: this.isOffline,
+            time: this.isRunning ? this.audioContext.currentTime : null,
+            seed: this.activeSeed,
+            environment,
+            sources: this.getModulationSources(),
+            params: params ? copyParams(params) : null,
+            // frequency and gain are targets; envelope is the pulse now (0-1)
+            voices: this.getVoiceActivity().map((voice, i) => ({
+                role: voice.role,
+                group: voice.group,
+                type: this.voiceSpecs[i].type,
+                frequency: voice.frequency,
+                gain: params ? Math.max(0, params.voices[i].gain * (this.chordWeights[i] !== undefined ? this.chordWeights[i] : 1)) : null,
+                envelope: voice.level
+            })),
+            chord: this.getChord(),
+            zones: this.zoneTracker.activeZones.map(zone => zone.name),
+            reverb: {
+                space: this.reverbSpace,
+                impulseResponse: this.impulseResponse ? this.impulseResponse.name : null,
+                decay: params ? params.reverbDecay : null,
+                damping: params ? params.reverbDamping : null
+            },
+            output: {
+                ...this.masterSettings,
+                meter: this.masterBus ? this.masterBus.getMeter() : null
+            },
+            tuning: { system, root, scale, glide }
+        };
     }
     
-    setOscillatorFrequency(index, frequency) {
+    getModulationSources() {
+        // Inputs available to mapping patches (names from PATCH_SOURCES)
+        return {
+            lat: this.latitude,
+            lon: this.longitude,
+            speed: this.speed,
+            temp: this.temperature,
+            humidity: this.humidity,
+            heading: this.heading,
+            timeOfDay: this.timeOfDay,
+            sunElevation: this.sunElevation,
+            sunAzimuth: this.sunAzimuth,
+            twilight: TWILIGHT_PHASES.indexOf(this.twilight),
+            dayProgress: this.dayProgress,
+            moonElevation: this.moonElevation,
+            moonAzimuth: this.moonAzimuth,
+            moonIllumination: this.moonIllumination,
+            moonPhase: this.moonPhase,
+            windSpeed: this.windSpeed,
+            windDirection: this.windDirection,
+            windPan: this.getWindPan(),
+            pressure: this.pressure,
+            pressureTrend: this.pressureTrend,
+            cloudCover: this.cloudCover,
+            precipitation: this.precipitation,
+            altitude: this.altitude,
+            climbRate: this.climbRate,
+            ascent: this.ascent,
+            cadence: this.cadence,
+            shake: this.shake,
+            tiltForward: this.tiltForward,
+            tiltSide: this.tiltSide,
+            micLevel: this.micLevel,
+            micCentroid: this.micCentroid,
+            micPitch: this.micPitch
+        };
+    }
+    
+    // Frequencies the engine is sounding (Hz), so the microphone analysis
+    // can leave them out
+    getPlayingFrequencies() {
+        return this.targetFrequencies.concat(this.zoneLayers.map(({ oscillator }) => oscillator.frequency.value));
+    }
+    
+    getWindPan() {
+        // Where the wind comes from relative to the way we face:
+        // -1 = from the left, 1 = from the right, 0 = ahead or behind
+        if (this.windDirection === null) return null;
+        return Math.sin(toRadians(this.windDirection - this.heading));
+    }
+    
+    getDefaultParams() {
+        // Parameter values before any mapping applies; pulse timing starts
+        // from each voice's group
+        const groups = getVoiceGroups(this.patch);
+        
+        return {
+            fundamental: 200,
+            spread: 1,
+            pitchPull: 0.5, // halfway toward a hum the microphone hears
+            lowpass: 5000,
+            highpass: 100,
+            wet: 0.3,
+            dry: 0.7,
+            reverbDecay: 3.3,
+            reverbDamping: 20000,
+            tone: 20000,
+            noiseGain: 0,
+            noiseFilter: 800,
+            noisePan: 0,
+            dropletRate: 0,
+            burst: 0,
+            voices: this.voiceLayout.map((layoutVoice, i) => {
+                const group = groups[layoutVoice.group];
+                const [intervalMin, intervalMax] = group.pulseInterval || [3, 16];
+                const [durationMin, durationMax] = group.pulseDuration || [1, 6];
+                
+                return {
+                    frequency: null, // null = play its role (fundamental, chord tone, drone)
+                    gain: 1,
+                    detune: 0,
+                    lfoDepth: 0,
+                    lfoRate: this.vibratoLFOs[i].baseRate,
+                    brightness: 1,
+                    fmIndex: 1,
+                    pulseIntervalMin: intervalMin,
+                    pulseIntervalMax: intervalMax,
+                    pulseDurationMin: durationMin,
+                    pulseDurationMax: durationMax
+                };
+            })
+        };
+    }
+    
+    // Fundamental and chord tones: glide to quantized pitches, or follow
+    // continuously like every other frequency when quantization is off
+    setPitch(index, frequency, when) {
+        if (!this.tuning.isQuantized) {
+            this.setOscillatorFrequency(index, frequency, when);
+            return;
+        }
+        
         if (!this.oscillators[index]) return;
         
-        const now = this.audioContext.currentTime;
+        const now = when !== undefined ? when : this.audioContext.currentTime;
         const osc = this.oscillators[index];
+        const target = Math.max(20, Math.min(20000, frequency));
+        
+        // Updates arrive every second; restarting an unchanged glide would stall it
+        if (target === this.targetFrequencies[index]) return;
         
+        // setTargetAtTime starts from wherever the pitch is now, so a glide
+        // interrupted by another change carries on smoothly (~98% of the way
+        // there after `glide` seconds)
         osc.frequency.cancelScheduledValues(now);
-        osc.frequency.setValueAtTime(osc.frequency.value, now);
-        osc.frequency.exponentialRampToValueAtTime(
-            Math.max(20, Math.min(20000, frequency)),
-            now + 0.1
-        );
+        if (this.tuning.glide > 0) {
+            osc.frequency.setTargetAtTime(target, now, this.tuning.glide / 4);
+        } else {
+            osc.frequency.setValueAtTime(target, now);
+        }
+        this.targetFrequencies[index] = target;
+    }
+    
+    setOscillatorFrequency(index, frequency, when) {
+        if (!this.oscillators[index]) return;
+        
+        const now = when !== undefined ? when : this.audioContext.currentTime;
+        const osc = this.oscillators[index];
+        const target = Math.max(20, Math.min(20000, frequency));
+        
+        if (this.isOffline) {
+            // Offline, changes are scheduled ahead and osc.frequency.value is
+            // stale, so ramp from the last target
+            osc.frequency.cancelScheduledValues(now);
+            osc.frequency.setValueAtTime(this.targetFrequencies[index], now);
+        } else if (osc.frequency.cancelAndHoldAtTime) {
+            // Live updates (orientation at ~60 Hz) land mid-ramp: carry on
+            // from where the pitch is instead of jumping back to the last target
+            osc.frequency.cancelAndHoldAtTime(now);
+        } else {
+            osc.frequency.cancelScheduledValues(now);
+            osc.frequency.setValueAtTime(osc.frequency.value, now);
+        }
+        osc.frequency.exponentialRampToValueAtTime(target, now + 0.1);
+        this.targetFrequencies[index] = target;
     }
 }
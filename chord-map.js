@@ -0,0 +1,170 @@
+// Compass chord maps: which chord plays at each heading
+//
+// A chord map is JSON:
+//
+// {
+//   "name": "Four winds",
+//   "interpolation": "linear",
+//   "anchors": [
+//     { "heading": 0, "label": "N", "chord": [1, 1.25, 1.5] },
+//     { "heading": 90, "label": "E", "chord": [1, 1.25, 1.5625] }
+//   ]
+// }
+//
+// heading       - compass degrees (0 = North) where the chord sounds in full
+// chord         - frequency ratios from the fundamental, lowest first
+// interpolation - how headings between two anchors sound:
+//                 'linear'    blends the ratios, so tones slide between chords
+//                 'nearest'   switches to the closest anchor's chord
+//                 'crossfade' plays both chords on alternate voices and
+//                             fades from one to the other
+//
+// Chords may have different sizes. A tone only one of the two chords has
+// keeps its own ratio and fades in or out instead of sliding from an
+// octave doubling.
+
+const CHORD_INTERPOLATIONS = ['linear', 'nearest', 'crossfade'];
+
+// The engine's original four chords
+const DEFAULT_CHORD_MAP = {
+    name: 'Default',
+    interpolation: 'linear',
+    anchors: [
+        { heading: 0, label: 'N', chord: [1.0, 1.25, 1.5] },          // Major: root, maj3, p5
+        { heading: 90, label: 'E', chord: [1.0, 1.25, 1.5625] },      // Major 3rd: root, maj3, maj6
+        { heading: 180, label: 'S', chord: [1.0, 1.2, 1.5] },         // Minor: root, min3, p5
+        { heading: 270, label: 'W', chord: [1.0, 1.25, 1.5, 1.75] }   // Dom7: root, maj3, p5, min7
+    ]
+};
+
+function cloneChordMap(map) {
+    return JSON.parse(JSON.stringify(map));
+}
+
+function validateChordMap(map) {
+    if (!map || !Array.isArray(map.anchors) || map.anchors.length === 0) {
+        throw new Error('Chord map must have a non-empty "anchors" array');
+    }
+    if (map.interpolation && !CHORD_INTERPOLATIONS.includes(map.interpolation)) {
+        throw new Error(`Unknown interpolation "${map.interpolation}"`);
+    }
+    
+    map.anchors.forEach((anchor, i) => {
+        const where = `Anchor ${i + 1}`;
+        
+        if (typeof anchor.heading !== 'number' || !isFinite(anchor.heading)) {
+            throw new Error(`${where}: "heading" must be a number of degrees`);
+        }
+        if (!Array.isArray(anchor.chord) || anchor.chord.length === 0 ||
+            !anchor.chord.every(ratio => typeof ratio === 'number' && ratio > 0)) {
+            throw new Error(`${where}: "chord" must be a list of positive ratios`);
+        }
+    });
+    
+    // Normalize headings to 0-360 and sort, so segments run clockwise
+    map.anchors.forEach(anchor => {
+        anchor.heading = ((anchor.heading % 360) + 360) % 360;
+    });
+    map.anchors.sort((a, b) => a.heading - b.heading);
+    
+    return map;
+}
+
+// The two anchors either side of `heading` and how far (0-1) it is from
+// the first to the second
+function findChordSegment(anchors, heading) {
+    const h = ((heading % 360) + 360) % 360;
+    
+    let index = anchors.length - 1; // before the first anchor: wrapped from the last
+    for (let i = 0; i < anchors.length; i++) {
+        if (anchors[i].heading <= h) index = i;
+    }
+    
+    const from = anchors[index];
+    const to = anchors[(index + 1) % anchors.length];
+    const span = ((to.heading - from.heading) + 360) % 360 || 360;
+    const t = anchors.length > 1 ? (((h - from.heading) + 360) % 360) / span : 0;
+    
+    return { from, to, fromIndex: index, toIndex: (index + 1) % anchors.length, t };
+}
+
+// Voice slots for `voiceCount` chord voices at `heading`.
+// Returns [{ ratio, weight, octave }]: each voice plays ratio x fundamental (or
+// the fundamental divided by it, below a high fundamental) at `weight` x its
+// level; `octave` is the doubling multiplier already in `ratio` (1 for the
+// first voice on each tone, 2 for the next, ...).
+function evaluateChordMap(map, heading, voiceCount) {
+    const anchors = map.anchors;
+    const { from, to, fromIndex, toIndex, t } = findChordSegment(anchors, heading);
+    
+    if (map.interpolation === 'crossfade' && anchors.length > 1) {
+        return crossfadeSlots(anchors, from, to, fromIndex, toIndex, t, voiceCount);
+    }
+    
+    // Only the two chords sounding are padded to each other's size, so a
+    // triad next to a triad still doubles every voice at the octave, as the
+    // engine always did, instead of resting voices for a larger chord elsewhere
+    let tones;
+    if (map.interpolation === 'nearest') {
+        const nearest = t < 0.5 ? from : to;
+        tones = chordTones(nearest.chord, 1);
+    } else {
+        tones = blendChords(from.chord, to.chord, t);
+    }
+    
+    return Array.from({ length: voiceCount }, (v, slot) => octaveSlot(tones, slot));
+}
+
+function chordTones(chord, weight) {
+    return chord.map(ratio => ({ ratio, weight }));
+}
+
+// Tones of the larger chord; one the other chord lacks fades in or out
+function blendChords(chord1, chord2, t) {
+    const size = Math.max(chord1.length, chord2.length);
+    
+    return Array.from({ length: size }, (v, i) => {
+        if (i < chord1.length && i < chord2.length) {
+            return { ratio: chord1[i] + (chord2[i] - chord1[i]) * t, weight: 1 };
+        }
+        return i < chord1.length
+            ? { ratio: chord1[i], weight: 1 - t }
+            : { ratio: chord2[i], weight: t };
+    });
+}
+
+// Cycles through the tones, doubling at octaves (the original voicing)
+function octaveSlot(tones, slot) {
+    const tone = tones[slot % tones.length];
+    const octave = Math.floor(slot / tones.length) + 1;
+    return { ratio: tone.ratio * octave, weight: tone.weight, octave };
+}
+
+// Voices alternate between voice groups; each anchor's chord always plays on
+// the same group, so neighbouring anchors never share voices and passing an
+// anchor doesn't move a sounding tone to another voice. An odd number of
+// anchors needs a third group where the last meets the first.
+function crossfadeSlots(anchors, from, to, fromIndex, toIndex, t, voiceCount) {
+    const odd = anchors.length % 2 === 1;
+    const groups = odd ? 3 : 2;
+    // Each chord has its group's voices to itself, so it needs no padding
+    const groupOf = index => (odd && index === anchors.length - 1) ? 2 : index % 2;
+    
+    const fromGroup = groupOf(fromIndex);
+    const toGroup = groupOf(toIndex);
+    // Equal-power, so the overall level doesn't dip halfway
+    const fromTones = chordTones(from.chord, Math.cos(t * Math.PI / 2));
+    const toTones = chordTones(to.chord, Math.sin(t * Math.PI / 2));
+    
+    return Array.from({ length: voiceCount }, (v, slot) => {
+        const group = slot % groups;
+        const index = Math.floor(slot / groups);
+        
+        if (group === fromGroup) return octaveSlot(fromTones, index);
+        if (group === toGroup) return octaveSlot(toTones, index);
+        
+        // Third group, belonging to neither anchor here: rests
+        const parked = octaveSlot(fromTones, index);
+        return { ...parked, weight: 0 };
+    });
+}
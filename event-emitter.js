@@ -0,0 +1,55 @@
+// Named events for the engine's listeners
+//
+// on(name, listener) adds a listener and returns a function that removes it
+// again; off() does the same by name. Only the names given to the
+// constructor are accepted, so a misspelt one fails at once instead of
+// never firing.
+//
+// Listeners run inside the engine's updates: one that throws is reported on
+// the console and doesn't stop the others, or the sound.
+
+class EventEmitter {
+    constructor(names) {
+        this.listeners = new Map(names.map(name => [name, []]));
+    }
+    
+    on(name, listener) {
+        this.listenersOf(name).push(listener);
+        return () => this.off(name, listener);
+    }
+    
+    // Called the first time `name` fires, then removed
+    once(name, listener) {
+        const remove = this.on(name, event => {
+            remove();
+            listener(event);
+        });
+        return remove;
+    }
+    
+    off(name, listener) {
+        this.listeners.set(name, this.listenersOf(name).filter(entry => entry !== listener));
+    }
+    
+    hasListeners(name) {
+        return this.listenersOf(name).length > 0;
+    }
+    
+    emit(name, event) {
+        // A copy: listeners may add or remove listeners as they run
+        this.listenersOf(name).slice().forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Error in "${name}" listener:`, error);
+            }
+        });
+    }
+    
+    listenersOf(name) {
+        if (!this.listeners.has(name)) {
+            throw new Error(`Unknown event "${name}"`);
+        }
+        return this.listeners.get(name);
+    }
+}
@@ -0,0 +1,217 @@
+// GPS conditioning
+//
+// Raw fixes jitter by several meters, phones often report a null speed while
+// walking, and a poor fix can land a block away. LocationFilter sits between
+// the location provider and app.js:
+//
+// - fixes less accurate than maxAccuracy (meters) are rejected
+// - position goes through a Kalman filter whose uncertainty grows with time
+//   at walking-to-cycling pace and shrinks with each fix's reported accuracy
+// - speed is the device's when it reports one, otherwise distance over time
+//   between filtered positions; either way it's smoothed
+// - course over ground comes from the device heading or the direction of
+//   travel, and holds its last value when standing still
+// - altitude is the device's when it's accurate enough, otherwise looked up
+//   in the terrain model (see terrain.js) if one is given; it's smoothed, and
+//   gives the rate of climb and the total ascent, which a switch between the
+//   two sources leaves alone
+//
+// update(position) takes a Geolocation-style position and returns
+// { latitude, longitude, accuracy, speed, speedSource, course,
+//   altitude, altitudeSource, climbRate, ascent } or null when the fix is
+// rejected. `raw` and `lastRejection` keep what came in, for the debug panel.
+
+const GPS_MAX_ACCURACY = 50; // meters
+const GPS_PROCESS_NOISE = 3; // m/s the position may wander between fixes
+const GPS_MIN_ACCURACY = 1; // meters; simulated routes report 0
+const GPS_SPEED_SMOOTHING = 3; // seconds (time constant)
+const GPS_MIN_COURSE_SPEED = 0.5; // m/s; slower than this the direction is noise
+const GPS_MAX_ALTITUDE_ACCURACY = 30; // meters; worse altitudes fall back to terrain
+const ALTITUDE_SMOOTHING = 5; // seconds (time constant)
+const CLIMB_SMOOTHING = 10; // seconds (time constant)
+const ASCENT_THRESHOLD = 3; // meters; smaller rises are treated as noise
+
+class LocationFilter {
+    constructor(options = {}) {
+        this.maxAccuracy = options.maxAccuracy || GPS_MAX_ACCURACY;
+        this.processNoise = options.processNoise || GPS_PROCESS_NOISE;
+        this.terrain = options.terrain || null; // { elevationAt(latitude, longitude) }
+        this.reset();
+    }
+    
+    reset() {
+        this.latitude = null;
+        this.longitude = null;
+        this.variance = -1; // m²; negative until the first fix
+        this.time = null;
+        this.speed = 0;
+        this.speedSource = null; // 'device' or 'derived'
+        this.course = null;
+        
+        this.altitude = null;
+        this.altitudeSource = null; // 'device' or 'terrain'
+        this.altitudeTime = null;
+        this.climbRate = 0;
+        this.ascent = 0;
+        this.ascentBase = null; // lowest altitude since the last counted rise
+        
+        this.raw = null;
+        this.lastRejection = null;
+        this.accepted = 0;
+        this.rejected = 0;
+    }
+    
+    update(position) {
+        const coords = position.coords;
+        const time = position.timestamp || Date.now();
+        const accuracy = typeof coords.accuracy === 'number' ? coords.accuracy : null;
+        
+        this.raw = {
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy,
+            // Negative values mean "unknown" on some platforms
+            speed: isValidNumber(coords.speed) && coords.speed >= 0 ? coords.speed : null,
+            heading: isValidNumber(coords.heading) && coords.heading >= 0 ? coords.heading : null,
+            altitude: isValidNumber(coords.altitude) ? coords.altitude : null,
+            altitudeAccuracy: isValidNumber(coords.altitudeAccuracy) ? coords.altitudeAccuracy : null
+        };
+        
+        if (accuracy !== null && accuracy > this.maxAccuracy) {
+            this.rejected++;
+            this.lastRejection = `accuracy ${Math.round(accuracy)} m > ${this.maxAccuracy} m`;
+            return null;
+        }
+        this.accepted++;
+        
+        const previous = this.variance < 0 ? null : { latitude: this.latitude, longitude: this.longitude, time: this.time };
+        this.filterPosition(coords.latitude, coords.longitude, Math.max(GPS_MIN_ACCURACY, accuracy || 0), time);
+        this.updateMotion(previous, time);
+        this.updateAltitude(time);
+        
+        return {
+            latitude: this.latitude,
+            longitude: this.longitude,
+            accuracy: Math.sqrt(this.variance),
+            speed: this.speed,
+            speedSource: this.speedSource,
+            course: this.course,
+            altitude: this.altitude,
+            altitudeSource: this.altitudeSource,
+            climbRate: this.climbRate,
+            ascent: this.ascent
+        };
+    }
+    
+    filterPosition(latitude, longitude, accuracy, time) {
+        if (this.variance < 0) {
+            this.latitude = latitude;
+            this.longitude = longitude;
+            this.variance = accuracy * accuracy;
+            this.time = time;
+            return;
+        }
+        
+        // Uncertainty grows while we haven't heard anything
+        const dt = Math.max(0, (time - this.time) / 1000);
+        this.variance += dt * this.processNoise * this.processNoise;
+        this.time = time;
+        
+        // Kalman gain: how much to trust this fix over the estimate
+        const gain = this.variance / (this.variance + accuracy * accuracy);
+        this.latitude += gain * (latitude - this.latitude);
+        this.longitude += gain * (longitude - this.longitude);
+        this.variance *= 1 - gain;
+    }
+    
+    updateMotion(previous, time) {
+        if (!previous) {
+            // First fix: only the device can say how fast we're going
+            if (this.raw.speed !== null) {
+                this.speed = this.raw.speed;
+                this.speedSource = 'device';
+            }
+            return;
+        }
+        
+        const dt = (time - previous.time) / 1000;
+        if (dt <= 0) return;
+        
+        const distance = haversineDistance(previous.latitude, previous.longitude, this.latitude, this.longitude);
+        
+        // The device's speed when it has one, otherwise distance over time
+        let speed;
+        if (this.raw.speed !== null) {
+            speed = this.raw.speed;
+            this.speedSource = 'device';
+        } else {
+            speed = distance / dt;
+            this.speedSource = 'derived';
+        }
+        
+        const smoothing = 1 - Math.exp(-dt / GPS_SPEED_SMOOTHING);
+        this.speed += (speed - this.speed) * smoothing;
+        
+        // Course over ground, only while actually moving
+        if (this.speed >= GPS_MIN_COURSE_SPEED) {
+            if (this.raw.heading !== null) {
+                this.course = this.raw.heading;
+            } else if (distance > 0) {
+                this.course = initialBearing(previous.latitude, previous.longitude, this.latitude, this.longitude);
+            }
+        }
+    }
+    
+    updateAltitude(time) {
+        let altitude = null;
+        let source = null;
+        
+        const raw = this.raw;
+        if (raw.altitude !== null && (raw.altitudeAccuracy === null || raw.altitudeAccuracy <= GPS_MAX_ALTITUDE_ACCURACY)) {
+            altitude = raw.altitude;
+            source = 'device';
+        } else if (this.terrain) {
+            altitude = this.terrain.elevationAt(this.latitude, this.longitude);
+            source = altitude === null ? null : 'terrain';
+        }
+        
+        if (altitude === null) return; // keep the last altitude
+        
+        // A change of source starts again from the new one rather than
+        // smoothing across: GPS altitude is above the ellipsoid and the
+        // terrain model above sea level, often tens of meters apart, and the
+        // slide between them would read as a climb and add to the ascent.
+        // The climb rate carries on as it was.
+        if (this.altitude === null || source !== this.altitudeSource) {
+            this.altitude = altitude;
+            this.altitudeSource = source;
+            this.altitudeTime = time;
+            this.ascentBase = altitude;
+            return;
+        }
+        
+        const dt = (time - this.altitudeTime) / 1000;
+        if (dt <= 0) return;
+        
+        const previous = this.altitude;
+        this.altitude += (altitude - this.altitude) * (1 - Math.exp(-dt / ALTITUDE_SMOOTHING));
+        this.altitudeSource = source;
+        this.altitudeTime = time;
+        
+        const climbRate = (this.altitude - previous) / dt;
+        this.climbRate += (climbRate - this.climbRate) * (1 - Math.exp(-dt / CLIMB_SMOOTHING));
+        
+        // Ascent counts rises of more than ASCENT_THRESHOLD from the last low,
+        // so altitude noise doesn't add up over a long walk on the flat
+        if (this.altitude < this.ascentBase) {
+            this.ascentBase = this.altitude;
+        } else if (this.altitude - this.ascentBase > ASCENT_THRESHOLD) {
+            this.ascent += this.altitude - this.ascentBase;
+            this.ascentBase = this.altitude;
+        }
+    }
+}
+
+function isValidNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
@@ -0,0 +1,153 @@
+// Location providers
+//
+// A provider delivers positions to app.js in the same shape as the
+// Geolocation API ({ coords: { latitude, longitude, speed, heading, ... }, timestamp }),
+// so onLocationUpdate() works unchanged whichever source is active.
+//
+// Interface:
+//   start(onPosition, onError)
+//   stop()
+//   providesHeading - true if coords.heading should stand in for the compass
+
+class GeolocationProvider {
+    constructor() {
+        this.watchId = null;
+        this.providesHeading = false;
+    }
+    
+    static isSupported() {
+        return 'geolocation' in navigator;
+    }
+    
+    start(onPosition, onError) {
+        this.watchId = navigator.geolocation.watchPosition(
+            onPosition,
+            onError,
+            {
+                enableHighAccuracy: true,
+                maximumAge: 0,
+                timeout: 5000
+            }
+        );
+    }
+    
+    stop() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+    }
+}
+
+// Steps through an imported route (see route-import.js) in real time.
+// Uses the file's timestamps when every point has one, otherwise travels
+// at a constant `speed` (m/s).
+class RouteLocationProvider {
+    constructor(route, options = {}) {
+        this.route = route;
+        this.speed = options.speed || 1.4; // m/s, ~5 km/h walking pace
+        this.loop = options.loop || false;
+        this.updateRate = options.updateRate || 1000; // ms between fixes
+        this.providesHeading = true;
+        
+        this.timer = null;
+        this.startTime = 0;
+        this.onPosition = null;
+        this.onEnd = null;
+        
+        this.buildTimeline();
+    }
+    
+    buildTimeline() {
+        // Seconds from the start of the route at which each point is reached
+        const points = this.route.points;
+        const timed = points.every(point => point.time !== null);
+        
+        this.times = [0];
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const point = points[i];
+            
+            let dt;
+            if (timed) {
+                dt = (point.time - prev.time) / 1000;
+            } else {
+                const distance = haversineDistance(prev.latitude, prev.longitude, point.latitude, point.longitude);
+                dt = distance / this.speed;
+            }
+            
+            this.times.push(this.times[i - 1] + Math.max(0, dt));
+        }
+        
+        this.usesTimestamps = timed;
+        this.duration = this.times[this.times.length - 1];
+    }
+    
+    start(onPosition) {
+        this.onPosition = onPosition;
+        this.startTime = performance.now();
+        
+        this.emit();
+        this.timer = setInterval(() => this.emit(), this.updateRate);
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    emit() {
+        let elapsed = (performance.now() - this.startTime) / 1000;
+        
+        if (elapsed >= this.duration) {
+            if (this.loop && this.duration > 0) {
+                elapsed %= this.duration;
+            } else {
+                elapsed = this.duration;
+                this.stop();
+                if (this.onEnd) this.onEnd();
+            }
+        }
+        
+        if (this.onPosition) {
+            this.onPosition(this.positionAt(elapsed));
+        }
+    }
+    
+    positionAt(elapsed) {
+        const points = this.route.points;
+        const times = this.times;
+        
+        // Find the segment containing `elapsed`
+        let i = 1;
+        while (i < times.length - 1 && times[i] < elapsed) i++;
+        
+        const a = points[i - 1];
+        const b = points[i];
+        const segmentTime = times[i] - times[i - 1];
+        const t = segmentTime > 0 ? Math.min(1, Math.max(0, (elapsed - times[i - 1]) / segmentTime)) : 1;
+        
+        const distance = haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+        const atEnd = elapsed >= this.duration && !this.loop;
+        
+        let altitude = null;
+        if (a.altitude !== null && b.altitude !== null) {
+            altitude = a.altitude + (b.altitude - a.altitude) * t;
+        }
+        
+        return {
+            coords: {
+                latitude: a.latitude + (b.latitude - a.latitude) * t,
+                longitude: a.longitude + (b.longitude - a.longitude) * t,
+                altitude,
+                accuracy: 0,
+                altitudeAccuracy: null,
+                speed: atEnd || segmentTime <= 0 ? 0 : distance / segmentTime,
+                heading: distance > 0 ? initialBearing(a.latitude, a.longitude, b.latitude, b.longitude) : null
+            },
+            timestamp: Date.now()
+        };
+    }
+}
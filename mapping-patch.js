@@ -0,0 +1,335 @@
+// Mapping patches: declarative routing from environmental inputs to engine parameters
+//
+// A patch is JSON:
+//
+// {
+//   "name": "My patch",
+//   "mappings": [
+//     { "source": "speed", "target": "frequency", "voice": 3,
+//       "range": [0, 35.8], "output": [100, 2000],
+//       "curve": "linear", "invert": false, "mode": "set" }
+//   ]
+// }
+//
+// source  - an input from PATCH_SOURCES
+// target  - an engine parameter from PATCH_TARGETS
+// voice   - oscillator index or array of indices, for per-voice targets
+//           (omit to apply to every voice)
+// group   - name of a voice group (see voice-groups.js), for per-voice
+//           targets: only its voices, counting `voice` from its first
+// range   - input values mapped onto the output; inputs outside are clamped
+// output  - [min, max] of the target parameter
+// curve   - 'linear', 'exp' (slow start), 'log' (fast start) or 'step'
+// steps   - number of steps for the 'step' curve (default 4)
+// invert  - flip the direction: range min gives output max
+// mode    - 'set' (default) replaces the value, 'add' and 'multiply' combine
+//           with whatever earlier mappings or the engine default produced
+//
+// Mappings are applied in order, so a 'multiply' mapping after a 'set'
+// mapping scales its result.
+//
+// An optional "groups" list sets how many oscillators there are and what
+// each one plays (see voice-groups.js).
+//
+// An optional "voices" list gives oscillators other timbres than sine (see
+// voices.js):
+//
+//   "voices": [
+//     { "voice": 3, "type": "fm", "ratio": 1.5 }
+//   ]
+//
+// An optional "pulses" list sets how pulse timing is spread between the
+// pulseInterval/pulseDuration min and max (see PULSE_DISTRIBUTIONS in
+// pulse-scheduler.js); later entries override earlier ones:
+//
+//   "pulses": [
+//     { "voice": [4, 5, 6, 7], "interval": "exponential", "duration": "gaussian" }
+//   ]
+
+const PATCH_SOURCES = {
+    lat: 'Latitude (degrees)',
+    lon: 'Longitude (degrees)',
+    speed: 'Speed (m/s)',
+    temp: 'Temperature (°C)',
+    humidity: 'Humidity (%)',
+    heading: 'Compass heading (degrees)',
+    timeOfDay: 'Time of day (0-1, 0.5 = noon)',
+    sunElevation: 'Sun elevation (degrees)',
+    sunAzimuth: 'Sun azimuth (degrees clockwise from North)',
+    twilight: 'Twilight phase (0 night, 1 astronomical, 2 nautical, 3 civil, 4 day)',
+    dayProgress: 'Daylight elapsed (0 sunrise, 0.5 solar noon, 1 sunset)',
+    moonElevation: 'Moon elevation (degrees)',
+    moonAzimuth: 'Moon azimuth (degrees clockwise from North)',
+    moonIllumination: 'Illuminated fraction of the moon (0 new, 1 full)',
+    moonPhase: 'Lunar cycle (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter)',
+    windSpeed: 'Wind speed (m/s)',
+    windDirection: 'Direction the wind blows from (degrees clockwise from North)',
+    windPan: 'Wind relative to heading (-1 from the left, 0 ahead/behind, 1 from the right)',
+    pressure: 'Sea-level pressure (hPa)',
+    pressureTrend: 'Pressure change over the last 3 hours (hPa)',
+    cloudCover: 'Cloud cover (%)',
+    precipitation: 'Rain/snow intensity (mm/h)',
+    altitude: 'Altitude (m above sea level)',
+    climbRate: 'Rate of climb (m/s, negative descending)',
+    ascent: 'Total climb since starting (m)',
+    cadence: 'Step cadence (steps per minute, 0 standing still)',
+    shake: 'Shake intensity (0-1)',
+    tiltForward: 'Phone tilt forward/back (degrees; 0 flat, 90 upright)',
+    tiltSide: 'Phone tilt sideways (degrees; negative left, positive right)',
+    micLevel: 'Microphone loudness (dB relative to full scale, -100 silent)',
+    micCentroid: 'Microphone spectral centroid (Hz; low = rumble, high = hiss)',
+    micPitch: 'Dominant pitch heard by the microphone (Hz, e.g. mains hum)'
+};
+
+// perVoice targets accept a `voice` field
+const PATCH_TARGETS = {
+    fundamental: { perVoice: false, description: 'Fundamental frequency (Hz); chord tones follow it' },
+    spread: { perVoice: false, description: 'Spacing of the chord doublings (1 = harmonics 1x, 2x, 3x; higher = wider)' },
+    pitchPull: { perVoice: false, description: 'How far the fundamental moves toward the nearest octave of micPitch (0-1, default 0.5)' },
+    frequency: { perVoice: true, description: 'Oscillator frequency (Hz); takes the voice out of the chord' },
+    gain: { perVoice: true, description: 'Oscillator level (0-1, multiplies the pulse volume)' },
+    detune: { perVoice: true, description: 'Oscillator detune (cents)' },
+    lowpass: { perVoice: false, description: 'Low-pass cutoff on the fundamental (Hz)' },
+    highpass: { perVoice: false, description: 'High-pass cutoff on the fundamental (Hz)' },
+    wet: { perVoice: false, description: 'Reverb send level (0-1)' },
+    dry: { perVoice: false, description: 'Dry level (0-1)' },
+    reverbDecay: { perVoice: false, description: 'Reverb decay time (s to fall 60 dB)' },
+    reverbDamping: { perVoice: false, description: 'Reverb damping: what the tail darkens to as it dies away (Hz)' },
+    tone: { perVoice: false, description: 'Low-pass cutoff on the whole mix (Hz)' },
+    noiseGain: { perVoice: false, description: 'Wind noise level (0-1)' },
+    noiseFilter: { perVoice: false, description: 'Wind noise band-pass center (Hz)' },
+    noisePan: { perVoice: false, description: 'Wind noise stereo position (-1 left, 1 right)' },
+    dropletRate: { perVoice: false, description: 'Rain droplets per second' },
+    burst: { perVoice: false, description: 'Pulse burst (0-1); rising past 0.5 starts every silent voice at once' },
+    lfoDepth: { perVoice: true, description: 'Vibrato depth (Hz)' },
+    lfoRate: { perVoice: true, description: 'Vibrato rate (Hz)' },
+    brightness: { perVoice: true, description: 'Upper partials of wavetable voices (0 = sine, 1 = all)' },
+    fmIndex: { perVoice: true, description: 'Modulation index of FM voices (0 = sine)' },
+    pulseIntervalMin: { perVoice: true, description: 'Shortest silence between pulses (s)' },
+    pulseIntervalMax: { perVoice: true, description: 'Longest silence between pulses (s)' },
+    pulseDurationMin: { perVoice: true, description: 'Shortest pulse (s)' },
+    pulseDurationMax: { perVoice: true, description: 'Longest pulse (s)' }
+};
+
+const PATCH_CURVES = ['linear', 'exp', 'log', 'step'];
+const PATCH_MODES = ['set', 'add', 'multiply'];
+
+// Steepness of the exp/log curves
+const CURVE_STEEPNESS = 3;
+
+// The engine's original hard-coded behavior, plus the moon, weather,
+// altitude, motion sensors and microphone
+const DEFAULT_PATCH = {
+    name: 'Default',
+    mappings: [
+        // Solar noon (high elevation) = 200Hz, sunrise/sunset = 4800Hz
+        { source: 'sunElevation', target: 'fundamental', range: [-20, 70], output: [200, 4800], curve: 'linear', invert: true },
+        // Oscillator 3: slow (0 m/s) = 100Hz, fast (35.8 m/s / 80 mph) = 2000Hz
+        { source: 'speed', target: 'frequency', voice: 3, range: [0, 35.8], output: [100, 2000], curve: 'linear' },
+        // Slow speed = more vibrato, fast speed = less
+        { source: 'speed', target: 'lfoDepth', range: [0, 35.8], output: [0.5, 5.5], curve: 'linear', invert: true },
+        // Higher latitude = lower low-pass cutoff
+        { source: 'lat', target: 'lowpass', range: [-90, 90], output: [500, 5000], curve: 'linear' },
+        // Longitude affects high-pass
+        { source: 'lon', target: 'highpass', range: [-180, 180], output: [50, 500], curve: 'linear' },
+        // Humidity = more reverb
+        { source: 'humidity', target: 'wet', range: [0, 100], output: [0.1, 0.7], curve: 'linear' },
+        { source: 'humidity', target: 'dry', range: [0, 100], output: [0.4, 0.9], curve: 'linear', invert: true },
+        // ...and a longer, brighter tail: damp air soaks up less of the highs
+        { source: 'humidity', target: 'reverbDecay', range: [0, 100], output: [1.5, 4.5], curve: 'linear' },
+        { source: 'humidity', target: 'reverbDamping', range: [0, 100], output: [2500, 12000], curve: 'exp' },
+        // Cold air rings on; heat shortens and softens the tail
+        { source: 'temp', target: 'reverbDecay', range: [-10, 35], output: [1.2, 0.8], curve: 'linear', mode: 'multiply' },
+        { source: 'temp', target: 'reverbDamping', range: [-10, 35], output: [1.3, 0.7], curve: 'linear', mode: 'multiply' },
+        // A rising moon pulls the chord tones apart into a slow beating (after
+        // sunset the fundamental sits at 4800Hz, so this keeps the night moving)
+        { source: 'moonElevation', target: 'detune', voice: [1, 4, 6], range: [0, 60], output: [0, 15], curve: 'linear' },
+        { source: 'moonElevation', target: 'detune', voice: [2, 5, 7], range: [0, 60], output: [0, -15], curve: 'linear' },
+        // Brighter moon = longer, wetter tail
+        { source: 'moonIllumination', target: 'wet', range: [0, 1], output: [1, 1.3], curve: 'linear', mode: 'multiply' },
+        // Wind = a noise layer that gets louder and brighter, heard from where it blows
+        { source: 'windSpeed', target: 'noiseGain', range: [0, 15], output: [0, 0.05], curve: 'linear' },
+        { source: 'windSpeed', target: 'noiseFilter', range: [0, 20], output: [250, 1800], curve: 'linear' },
+        { source: 'windPan', target: 'noisePan', range: [-1, 1], output: [-0.8, 0.8], curve: 'linear' },
+        // Falling pressure (a storm coming) bends the chord down, rising bends it up
+        { source: 'pressureTrend', target: 'detune', voice: [1, 2, 4, 5, 6, 7], range: [-6, 6], output: [-40, 40], curve: 'linear', mode: 'add' },
+        // Overcast = darker
+        { source: 'cloudCover', target: 'tone', range: [0, 100], output: [3000, 16000], curve: 'exp', invert: true },
+        // Rain = droplets, from a few per second in drizzle to a downpour
+        { source: 'precipitation', target: 'dropletRate', range: [0, 8], output: [0, 25], curve: 'log' },
+        // Climbing opens the chord out: the doublings spread wider with every
+        // meter gained, up to half as wide again after 500m of ascent
+        { source: 'ascent', target: 'spread', range: [0, 500], output: [1, 1.5], curve: 'linear' },
+        // Warmer = brighter wavetable voices, faster = more FM sidebands
+        // (sine voices, the default, ignore both)
+        { source: 'temp', target: 'brightness', range: [-10, 35], output: [0.2, 1], curve: 'linear' },
+        { source: 'speed', target: 'fmIndex', range: [0, 35.8], output: [0.5, 8], curve: 'linear' },
+        // Going up quickens the vibrato, going down slows it
+        { source: 'climbRate', target: 'lfoRate', range: [-1, 1], output: [-2, 2], curve: 'linear', mode: 'add' },
+        // Oscillators 4-7 pulse faster with speed: 8-16s apart when still, 1-4s at 80 mph
+        { source: 'speed', target: 'pulseIntervalMin', voice: [4, 5, 6, 7], range: [0, 35.8], output: [1, 8], curve: 'linear', invert: true },
+        { source: 'speed', target: 'pulseIntervalMax', voice: [4, 5, 6, 7], range: [0, 35.8], output: [4, 16], curve: 'linear', invert: true },
+        // Walking pace straight from the footsteps, long before GPS speed
+        // catches up: silences shrink to a quarter at a running cadence
+        { source: 'cadence', target: 'pulseIntervalMin', range: [60, 180], output: [1, 0.25], curve: 'linear', mode: 'multiply' },
+        { source: 'cadence', target: 'pulseIntervalMax', range: [60, 180], output: [1, 0.25], curve: 'linear', mode: 'multiply' },
+        // A shake sets off a burst; a walking jiggle doesn't
+        { source: 'shake', target: 'burst', range: [0.2, 0.6], output: [0, 1], curve: 'linear' },
+        // With the microphone on, a loud street thins the pulses out (up to
+        // three times the silence)
+        { source: 'micLevel', target: 'pulseIntervalMin', range: [-60, -20], output: [1, 3], curve: 'linear', mode: 'multiply' },
+        { source: 'micLevel', target: 'pulseIntervalMax', range: [-60, -20], output: [1, 3], curve: 'linear', mode: 'multiply' }
+    ]
+};
+
+function clonePatch(patch) {
+    return JSON.parse(JSON.stringify(patch));
+}
+
+// Parameters ({ ...targets, voices: [...] }) to change without touching the original
+function copyParams(params) {
+    return { ...params, voices: params.voices.map(voice => ({ ...voice })) };
+}
+
+function validatePatch(patch) {
+    if (!patch || !Array.isArray(patch.mappings)) {
+        throw new Error('Patch must have a "mappings" array');
+    }
+    
+    if (patch.groups !== undefined) validateVoiceGroups(patch.groups);
+    const groups = getVoiceGroups(patch);
+    
+    patch.mappings.forEach((mapping, i) => {
+        const where = `Mapping ${i + 1}`;
+        
+        if (!(mapping.source in PATCH_SOURCES)) {
+            throw new Error(`${where}: unknown source "${mapping.source}"`);
+        }
+        if (!(mapping.target in PATCH_TARGETS)) {
+            throw new Error(`${where}: unknown target "${mapping.target}"`);
+        }
+        if (!isRange(mapping.range) || !isRange(mapping.output)) {
+            throw new Error(`${where}: "range" and "output" must be [min, max] numbers`);
+        }
+        if (mapping.curve && !PATCH_CURVES.includes(mapping.curve)) {
+            throw new Error(`${where}: unknown curve "${mapping.curve}"`);
+        }
+        if (mapping.mode && !PATCH_MODES.includes(mapping.mode)) {
+            throw new Error(`${where}: unknown mode "${mapping.mode}"`);
+        }
+        if ((mapping.voice !== undefined || mapping.group !== undefined) && !PATCH_TARGETS[mapping.target].perVoice) {
+            throw new Error(`${where}: target "${mapping.target}" is not per-voice`);
+        }
+        validateGroupReference(mapping, groups, where);
+    });
+    
+    if (patch.pulses !== undefined && !Array.isArray(patch.pulses)) {
+        throw new Error('"pulses" must be a list');
+    }
+    (patch.pulses || []).forEach((entry, i) => {
+        validateGroupReference(entry, groups, `Pulses ${i + 1}`);
+        ['interval', 'duration'].forEach(key => {
+            if (entry[key] !== undefined && !(entry[key] in PULSE_DISTRIBUTIONS)) {
+                throw new Error(`Pulses ${i + 1}: unknown ${key} distribution "${entry[key]}"`);
+            }
+        });
+    });
+    
+    if (patch.voices !== undefined && !Array.isArray(patch.voices)) {
+        throw new Error('"voices" must be a list');
+    }
+    (patch.voices || []).forEach((entry, i) => {
+        validateGroupReference(entry, groups, `Voices ${i + 1}`);
+        validateVoiceSpec(entry, `Voices ${i + 1}`);
+    });
+    
+    return patch;
+}
+
+// Interval and duration distributions of one voice: its group's, then the
+// patch's "pulses" list
+function getPulseShape(patch, voice) {
+    const layout = getVoiceLayout(patch);
+    const group = layout[voice] ? getVoiceGroups(patch)[layout[voice].group] : {};
+    const shape = { interval: group.interval || 'uniform', duration: group.duration || 'uniform' };
+    
+    (patch.pulses || []).forEach(entry => {
+        if (!selectVoices(entry, layout).includes(voice)) return;
+        if (entry.interval) shape.interval = entry.interval;
+        if (entry.duration) shape.duration = entry.duration;
+    });
+    
+    return shape;
+}
+
+function isRange(value) {
+    return Array.isArray(value) && value.length === 2 &&
+           typeof value[0] === 'number' && typeof value[1] === 'number';
+}
+
+function applyCurve(norm, curve, steps) {
+    switch (curve) {
+        case 'exp':
+            return (Math.exp(norm * CURVE_STEEPNESS) - 1) / (Math.exp(CURVE_STEEPNESS) - 1);
+        case 'log':
+            return Math.log(1 + norm * (Math.exp(CURVE_STEEPNESS) - 1)) / CURVE_STEEPNESS;
+        case 'step': {
+            const count = Math.max(2, steps || 4);
+            return Math.min(count - 1, Math.floor(norm * count)) / (count - 1);
+        }
+        default:
+            return norm;
+    }
+}
+
+// Value of one mapping for the given input
+function evaluateMapping(mapping, input) {
+    const [inMin, inMax] = mapping.range;
+    const [outMin, outMax] = mapping.output;
+    
+    let norm = inMax !== inMin ? (input - inMin) / (inMax - inMin) : 0;
+    norm = Math.max(0, Math.min(1, norm));
+    if (mapping.invert) norm = 1 - norm;
+    
+    return outMin + applyCurve(norm, mapping.curve, mapping.steps) * (outMax - outMin);
+}
+
+function combine(current, value, mode) {
+    if (mode === 'add') return current + value;
+    if (mode === 'multiply') return current * value;
+    return value;
+}
+
+// Evaluates every mapping against `sources` on top of `params`, the engine's
+// defaults ({ fundamental, lowpass, ..., voices: [{ frequency, gain, ... }] }).
+// Returns a new params object.
+function evaluatePatch(patch, sources, params) {
+    const result = copyParams(params);
+    const layout = getVoiceLayout(patch);
+    
+    patch.mappings.forEach(mapping => {
+        const input = sources[mapping.source];
+        if (typeof input !== 'number' || !isFinite(input)) return;
+        
+        const value = evaluateMapping(mapping, input);
+        const mode = mapping.mode || 'set';
+        
+        if (!PATCH_TARGETS[mapping.target].perVoice) {
+            result[mapping.target] = combine(result[mapping.target], value, mode);
+            return;
+        }
+        
+        selectVoices(mapping, layout).forEach(i => {
+            const voice = result.voices[i];
+            if (!voice) return;
+            
+            // A voice without its own frequency follows the chord; 'add' and
+            // 'multiply' need a base value, so they only apply once one is set
+            if (voice[mapping.target] === null && mode !== 'set') return;
+            
+            voice[mapping.target] = combine(voice[mapping.target], value, mode);
+        });
+    });
+    
+    return result;
+}
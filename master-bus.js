@@ -0,0 +1,368 @@
+// Master bus: loudness normalization, saturation, volume and a limiter
+//
+// Everything the engine plays passes through here on its way out:
+//
+//   mix -> auto gain -> volume -> saturation -> lookahead limiter -> speakers
+//    |
+//    +--> loudness meter
+//
+// auto gain  - slowly brings the mix toward `target` LUFS, measured over
+//              the last MASTER_LOUDNESS_WINDOW and gated as in EBU R128 so
+//              the silences between pulses don't count; at most
+//              MASTER_AUTO_GAIN_RANGE dB either way (target null: 0 dB)
+// volume     - the listener's level (gain, 0-1)
+// saturation - 0-1: how far peaks round off (tanh) on their way up to the
+//              ceiling, before the limiter has to act
+// ceiling    - the loudest the output can get, in dBFS: the limiter looks
+//              MASTER_LOOKAHEAD ahead to turn peaks down smoothly, and
+//              clips anything that still gets past. It comes after the
+//              volume, so nothing can go above it.
+//
+// The meter, saturation and limiter run in an AudioWorklet. Without one
+// (older browsers) a DynamicsCompressorNode stands in for the limiter,
+// nothing saturates and the loudness isn't measured, so auto gain stays 0 dB.
+// The compressor lets peaks through and adds makeup gain of its own, so a
+// WaveShaper after it clips at the ceiling to hold it all the same.
+
+const MASTER_PROCESSOR = 'environmental-sines-master';
+const MASTER_LOOKAHEAD = 0.005; // seconds
+const MASTER_RELEASE = 0.3; // seconds (time constant)
+const MASTER_METER_INTERVAL = 0.1; // seconds per loudness block
+const MASTER_SHORT_TERM = 3; // seconds; the loudness shown
+const MASTER_LOUDNESS_WINDOW = 30; // seconds the auto gain listens over
+const MASTER_AUTO_GAIN_RANGE = 12; // dB
+const MASTER_AUTO_GAIN_SMOOTHING = 8; // seconds (time constant)
+const MASTER_RENDER_CEILING = -1; // dBFS; offline renders ignore the listening settings
+const LOUDNESS_FLOOR = -70; // LUFS; quieter blocks are silence (the R128 absolute gate)
+const MASTER_CLIP_POINTS = 4097; // WaveShaper curve; odd, so silence stays at 0
+
+const DEFAULT_MASTER_SETTINGS = {
+    volume: 1,
+    ceiling: -3, // dBFS
+    target: -20, // LUFS, or null
+    saturation: 0
+};
+
+// Loaded from a Blob URL so it works from file:// too
+const MASTER_WORKLET_SOURCE = `
+// ITU-R BS.1770 K-weighting at any sample rate: a high shelf for the head,
+// then a high-pass
+function kWeighting(rate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / rate);
+    const Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+    
+    K = Math.tan(Math.PI * 38.13547087602444 / rate);
+    const Qh = 0.5003270373238773;
+    a0 = 1 + K / Qh + K * K;
+    const highpass = {
+        b: [1, -2, 1],
+        a: [2 * (K * K - 1) / a0, (1 - K / Qh + K * K) / a0]
+    };
+    
+    return [shelf, highpass];
+}
+
+class MasterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'ceiling', defaultValue: -3, minValue: -60, maxValue: 0, automationRate: 'k-rate' },
+            { name: 'saturation', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 0.3, minValue: 0.01, maxValue: 10, automationRate: 'k-rate' }
+        ];
+    }
+    
+    constructor(options) {
+        super();
+        const { lookahead, meterInterval } = options.processorOptions;
+        
+        // Limiter: the signal is delayed by the lookahead while the gain
+        // ramps down (a moving average of the lowest gain needed) in time
+        // for the peaks
+        this.length = Math.max(1, Math.round(lookahead * sampleRate));
+        this.delay = [new Float32Array(this.length), new Float32Array(this.length)];
+        this.ramp = new Float32Array(this.length).fill(1);
+        this.rampSum = this.length;
+        this.position = 0;
+        this.envelope = 1;
+        this.sample = [0, 0];
+        
+        // Running minimum of the gain needed over the lookahead: a queue of
+        // rising values, oldest first
+        this.capacity = this.length + 1;
+        this.minGains = new Float32Array(this.capacity);
+        this.minTimes = new Float64Array(this.capacity);
+        this.minStart = 0;
+        this.minCount = 0;
+        this.time = 0;
+        
+        // Meter: K-weighted mean square of the second input, in blocks
+        this.filters = kWeighting(sampleRate);
+        this.filterState = [0, 1].map(() => this.filters.map(() => [0, 0, 0, 0]));
+        this.blockLength = Math.round(meterInterval * sampleRate);
+        this.blockSum = 0;
+        this.blockFrames = 0;
+        this.lowestGain = 1;
+    }
+    
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0].length;
+        const ceiling = Math.pow(10, parameters.ceiling[0] / 20);
+        const saturation = parameters.saturation[0];
+        const release = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+        
+        for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let c = 0; c < 2; c++) {
+                const channel = input[c] || input[0];
+                let x = channel ? channel[i] : 0;
+                if (saturation > 0) x += saturation * (ceiling * Math.tanh(x / ceiling) - x);
+                this.sample[c] = x;
+                peak = Math.max(peak, Math.abs(x));
+            }
+            
+            const needed = peak > ceiling ? ceiling / peak : 1;
+            const lowest = this.pushMinimum(needed);
+            
+            this.rampSum += lowest - this.ramp[this.position];
+            this.ramp[this.position] = lowest;
+            const target = this.rampSum / this.length;
+            this.envelope = target < this.envelope ? target : this.envelope + (target - this.envelope) * release;
+            this.lowestGain = Math.min(this.lowestGain, this.envelope);
+            
+            for (let c = 0; c < 2; c++) {
+                const delayed = this.delay[c][this.position];
+                this.delay[c][this.position] = this.sample[c];
+                const y = delayed * this.envelope;
+                output[c][i] = y > ceiling ? ceiling : y < -ceiling ? -ceiling : y;
+            }
+            
+            this.position = (this.position + 1) % this.length;
+            this.time++;
+        }
+        
+        this.meter(inputs[1], frames);
+        return true;
+    }
+    
+    // Adds this sample's gain and returns the lowest over the lookahead
+    pushMinimum(gain) {
+        const capacity = this.capacity;
+        while (this.minCount > 0 && this.minGains[(this.minStart + this.minCount - 1) % capacity] >= gain) {
+            this.minCount--;
+        }
+        const end = (this.minStart + this.minCount) % capacity;
+        this.minGains[end] = gain;
+        this.minTimes[end] = this.time;
+        this.minCount++;
+        
+        while (this.minTimes[this.minStart] < this.time - this.length) {
+            this.minStart = (this.minStart + 1) % capacity;
+            this.minCount--;
+        }
+        return this.minGains[this.minStart];
+    }
+    
+    meter(input, frames) {
+        for (let c = 0; c < 2; c++) {
+            const channel = input && (input[c] || input[0]);
+            for (let i = 0; i < frames; i++) {
+                let x = channel ? channel[i] : 0;
+                this.filters.forEach((filter, f) => {
+                    const state = this.filterState[c][f];
+                    const y = filter.b[0] * x + filter.b[1] * state[0] + filter.b[2] * state[1]
+                        - filter.a[0] * state[2] - filter.a[1] * state[3];
+                    state[1] = state[0];
+                    state[0] = x;
+                    state[3] = state[2];
+                    state[2] = y;
+                    x = y;
+                });
+                this.blockSum += x * x;
+            }
+        }
+        
+        this.blockFrames += frames;
+        if (this.blockFrames >= this.blockLength) {
+            this.port.postMessage({ meanSquare: this.blockSum / this.blockFrames, gain: this.lowestGain });
+            this.blockSum = 0;
+            this.blockFrames = 0;
+            this.lowestGain = 1;
+        }
+    }
+}
+
+registerProcessor('${MASTER_PROCESSOR}', MasterProcessor);
+`;
+
+function validateMasterSettings(settings) {
+    const { volume, ceiling, target, saturation } = settings;
+    if (!(volume >= 0 && volume <= 1)) {
+        throw new Error('Volume must be from 0 to 1');
+    }
+    if (!(ceiling >= -60 && ceiling <= 0)) {
+        throw new Error('Ceiling must be from -60 to 0 dBFS');
+    }
+    if (target !== null && !(target >= -40 && target <= -5)) {
+        throw new Error('Loudness target must be from -40 to -5 LUFS, or null');
+    }
+    if (!(saturation >= 0 && saturation <= 1)) {
+        throw new Error('Saturation must be from 0 to 1');
+    }
+}
+
+// WaveShaper curve passing -1..1 straight through, clipped at `ceiling` dBFS;
+// louder input takes the end values, so it's clipped too
+function clipCurve(ceiling) {
+    const limit = Math.pow(10, ceiling / 20);
+    const curve = new Float32Array(MASTER_CLIP_POINTS);
+    for (let i = 0; i < MASTER_CLIP_POINTS; i++) {
+        const x = i / (MASTER_CLIP_POINTS - 1) * 2 - 1;
+        curve[i] = Math.max(-limit, Math.min(limit, x));
+    }
+    return curve;
+}
+
+// LUFS of a K-weighted mean square (summed over the channels)
+function toLUFS(meanSquare) {
+    return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+// Gated loudness of 100ms blocks, as EBU R128 measures a programme:
+// overlapping 400ms blocks, dropping silence and then anything 10 LU
+// below the rest. null when everything is silent.
+function gatedLoudness(blocks) {
+    const windows = [];
+    for (let i = 0; i + 4 <= blocks.length; i++) {
+        windows.push((blocks[i] + blocks[i + 1] + blocks[i + 2] + blocks[i + 3]) / 4);
+    }
+    
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const audible = windows.filter(value => toLUFS(value) > LOUDNESS_FLOOR);
+    if (!audible.length) return null;
+    
+    const gate = toLUFS(mean(audible)) - 10;
+    return toLUFS(mean(audible.filter(value => toLUFS(value) > gate)));
+}
+
+class MasterBus {
+    // Loads the processor into `ctx`; false where there are no worklets
+    static async prepare(ctx) {
+        if (!ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+        
+        const url = URL.createObjectURL(new Blob([MASTER_WORKLET_SOURCE], { type: 'application/javascript' }));
+        try {
+            await ctx.audioWorklet.addModule(url);
+            return true;
+        } catch (error) {
+            console.log('Master bus worklet unavailable:', error);
+            return false;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    constructor(ctx, settings, useWorklet) {
+        this.ctx = ctx;
+        this.input = ctx.createGain();
+        this.autoGain = ctx.createGain();
+        this.volume = ctx.createGain();
+        this.isMetered = useWorklet;
+        
+        this.blocks = []; // mean square of each MASTER_METER_INTERVAL, newest last
+        this.loudness = null; // LUFS over MASTER_SHORT_TERM
+        this.autoGainDb = 0;
+        this.reduction = 0; // dB the limiter took off in the last block
+        this.onMeter = null;
+        
+        this.input.connect(this.autoGain);
+        this.autoGain.connect(this.volume);
+        
+        if (useWorklet) {
+            this.limiter = new AudioWorkletNode(ctx, MASTER_PROCESSOR, {
+                numberOfInputs: 2,
+                numberOfOutputs: 1,
+                outputChannelCount: [2],
+                channelCount: 2,
+                channelCountMode: 'explicit',
+                processorOptions: { lookahead: MASTER_LOOKAHEAD, meterInterval: MASTER_METER_INTERVAL }
+            });
+            this.limiter.parameters.get('release').value = MASTER_RELEASE;
+            this.limiter.port.onmessage = event => this.receiveMeter(event.data);
+            
+            // The meter hears the mix before the auto gain moves it
+            this.input.connect(this.limiter, 0, 1);
+        } else {
+            this.limiter = ctx.createDynamicsCompressor();
+            this.limiter.knee.value = 0;
+            this.limiter.ratio.value = 20;
+            this.limiter.attack.value = 0;
+            this.limiter.release.value = MASTER_RELEASE;
+            this.clipper = ctx.createWaveShaper();
+            this.limiter.connect(this.clipper);
+        }
+        this.volume.connect(this.limiter, 0, 0);
+        this.output = this.isMetered ? this.limiter : this.clipper;
+        
+        this.settings = { ...DEFAULT_MASTER_SETTINGS };
+        this.set(settings);
+    }
+    
+    set(settings) {
+        this.settings = { ...this.settings, ...settings };
+        const { volume, ceiling, saturation, target } = this.settings;
+        const now = this.ctx.currentTime;
+        
+        this.volume.gain.setTargetAtTime(volume, now, 0.05);
+        if (this.isMetered) {
+            this.limiter.parameters.get('ceiling').setValueAtTime(ceiling, now);
+            this.limiter.parameters.get('saturation').setValueAtTime(saturation, now);
+        } else {
+            this.limiter.threshold.setValueAtTime(ceiling, now);
+            this.clipper.curve = clipCurve(ceiling);
+        }
+        
+        if (target === null) this.setAutoGain(0);
+    }
+    
+    receiveMeter({ meanSquare, gain }) {
+        this.blocks.push(meanSquare);
+        if (this.blocks.length > MASTER_LOUDNESS_WINDOW / MASTER_METER_INTERVAL) this.blocks.shift();
+        
+        const recent = this.blocks.slice(-Math.round(MASTER_SHORT_TERM / MASTER_METER_INTERVAL));
+        const loudness = toLUFS(recent.reduce((sum, value) => sum + value, 0) / recent.length);
+        this.loudness = loudness > LOUDNESS_FLOOR ? loudness : null;
+        this.reduction = 20 * Math.log10(gain);
+        
+        // Held through silence, when there's nothing to measure
+        const programme = gatedLoudness(this.blocks);
+        if (this.settings.target !== null && programme !== null) {
+            // In tenths of a dB, not a new ramp every block
+            const range = MASTER_AUTO_GAIN_RANGE;
+            const db = Math.max(-range, Math.min(range, this.settings.target - programme));
+            this.setAutoGain(Math.round(db * 10) / 10);
+        }
+        
+        if (this.onMeter) this.onMeter(this.getMeter());
+    }
+    
+    setAutoGain(db) {
+        if (db === this.autoGainDb) return;
+        this.autoGainDb = db;
+        this.autoGain.gain.setTargetAtTime(Math.pow(10, db / 20), this.ctx.currentTime, MASTER_AUTO_GAIN_SMOOTHING);
+    }
+    
+    // { loudness (LUFS, null in silence), autoGain (dB it's heading for),
+    //   reduction (dB the limiter took off lately) }
+    getMeter() {
+        return { loudness: this.loudness, autoGain: this.autoGainDb, reduction: this.reduction };
+    }
+}
@@ -0,0 +1,166 @@
+// Microphone input: the acoustic environment as a modulation source
+//
+// MicrophoneAnalyzer listens through getUserMedia and an AnalyserNode and
+// measures, from the spectrum:
+//
+// - level    - loudness in dB relative to full scale (about -100 silent, 0 loudest)
+// - centroid - spectral centroid in Hz: where the energy sits, low rumble
+//              to bright hiss (null in silence)
+// - pitch    - the strongest clear peak between MIC_PITCH_RANGE in Hz, e.g.
+//              mains hum or a fan (null when there's none); held for
+//              MIC_PITCH_HOLD so it doesn't flicker
+//
+// Feedback safety: the microphone is never connected to the speakers, the
+// browser's echo cancellation is requested, and analyze() leaves out the
+// bins around every frequency the engine is playing, so the sines don't
+// measure (or tune toward) themselves.
+
+const MIC_FFT_SIZE = 8192; // ~6 Hz bins at 48kHz: enough to tell hum harmonics apart
+const MIC_SMOOTHING = 0.8; // the analyser's own smoothing between frames
+const MIC_FLOOR = -100; // dB; quieter than this counts as silence
+const MIC_PITCH_RANGE = [40, 2000]; // Hz
+const MIC_PITCH_PROMINENCE = 20; // dB above the median of that range to count as a pitch
+const MIC_PITCH_HOLD = 5; // seconds
+const MIC_EXCLUDE_RATIO = 0.03; // about a quarter tone either side...
+const MIC_EXCLUDE_BINS = 3; // ...but at least the window's main lobe
+const MIC_WINDOW_POWER = 0.3046; // mean square of the Blackman window the analyser applies
+
+class MicrophoneAnalyzer {
+    constructor() {
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.spectrum = null;
+        this.reset();
+    }
+    
+    reset() {
+        this.level = MIC_FLOOR;
+        this.centroid = null;
+        this.pitch = null;
+        this.pitchTime = null; // seconds, when the pitch was last heard clearly
+    }
+    
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+    
+    get isListening() {
+        return this.stream !== null;
+    }
+    
+    // Asks for the microphone and starts listening on `audioContext`
+    async start(audioContext) {
+        if (this.isListening) return;
+        
+        // Echo cancellation removes what the speakers play; the other
+        // processing would flatten the very levels we want to measure
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+        });
+        
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = MIC_FFT_SIZE;
+        this.analyser.smoothingTimeConstant = MIC_SMOOTHING;
+        this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        
+        // Analysis only: nothing goes on to the destination
+        this.source = audioContext.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+        
+        this.reset();
+    }
+    
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        if (this.source) {
+            this.source.disconnect();
+        }
+        
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.spectrum = null;
+    }
+    
+    // Measures the latest spectrum, leaving out `excludeFrequencies` (Hz).
+    // `time` is in seconds. Returns { level, centroid, pitch }.
+    analyze(excludeFrequencies = [], time = performance.now() / 1000) {
+        if (!this.analyser) return this.getValues();
+        
+        const spectrum = this.spectrum;
+        this.analyser.getFloatFrequencyData(spectrum);
+        
+        const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize;
+        const excluded = new Uint8Array(spectrum.length);
+        excludeFrequencies.forEach(frequency => {
+            if (!(frequency > 0)) return;
+            const bin = frequency / binWidth;
+            const width = Math.max(MIC_EXCLUDE_BINS, bin * MIC_EXCLUDE_RATIO);
+            const low = Math.floor(bin - width);
+            const high = Math.ceil(bin + width);
+            excluded.fill(1, Math.max(0, low), Math.min(spectrum.length, high + 1));
+        });
+        
+        // Level and centroid over everything but DC and the excluded bins
+        let power = 0;
+        let weighted = 0;
+        let magnitudeSum = 0;
+        for (let i = 1; i < spectrum.length; i++) {
+            if (excluded[i] || !isFinite(spectrum[i])) continue;
+            
+            const magnitude = Math.pow(10, spectrum[i] / 20);
+            power += magnitude * magnitude;
+            magnitudeSum += magnitude;
+            weighted += magnitude * i * binWidth;
+        }
+        
+        // Half the spectrum holds half the power; undo the window's loss too
+        const meanSquare = 2 * power / MIC_WINDOW_POWER;
+        this.level = meanSquare > 0 ? Math.max(MIC_FLOOR, 10 * Math.log10(meanSquare)) : MIC_FLOOR;
+        this.centroid = this.level > MIC_FLOOR && magnitudeSum > 0 ? weighted / magnitudeSum : null;
+        
+        const pitch = this.findPitch(spectrum, excluded, binWidth);
+        if (pitch) {
+            this.pitch = pitch;
+            this.pitchTime = time;
+        } else if (this.pitchTime === null || time - this.pitchTime > MIC_PITCH_HOLD) {
+            this.pitch = null;
+        }
+        
+        return this.getValues();
+    }
+    
+    findPitch(spectrum, excluded, binWidth) {
+        const first = Math.max(1, Math.ceil(MIC_PITCH_RANGE[0] / binWidth));
+        const last = Math.min(spectrum.length - 2, Math.floor(MIC_PITCH_RANGE[1] / binWidth));
+        
+        const levels = [];
+        let peak = -1;
+        for (let i = first; i <= last; i++) {
+            if (excluded[i] || !isFinite(spectrum[i])) continue;
+            levels.push(spectrum[i]);
+            if (peak < 0 || spectrum[i] > spectrum[peak]) peak = i;
+        }
+        if (peak < 0) return null;
+        
+        // A pitch stands well clear of the rest of the range
+        levels.sort((a, b) => a - b);
+        const median = levels[Math.floor(levels.length / 2)];
+        if (spectrum[peak] - median < MIC_PITCH_PROMINENCE) return null;
+        
+        // Parabolic interpolation between the neighbouring bins
+        const before = spectrum[peak - 1];
+        const after = spectrum[peak + 1];
+        const curvature = before - 2 * spectrum[peak] + after;
+        const offset = isFinite(curvature) && curvature < 0 ? 0.5 * (before - after) / curvature : 0;
+        
+        return (peak + offset) * binWidth;
+    }
+    
+    getValues() {
+        return { level: this.level, centroid: this.centroid, pitch: this.pitch };
+    }
+}
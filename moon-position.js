@@ -0,0 +1,116 @@
+// Moon position and phase
+//
+// Low-precision lunar theory (Meeus, "Astronomical Algorithms", ch. 47 leading
+// terms), good to roughly half a degree, which is plenty for modulation.
+// Takes a Date plus latitude/longitude in degrees, like solar-position.js.
+
+const J2000 = 2451545;
+const OBLIQUITY = toRadians(23.4397); // obliquity of the ecliptic at J2000
+
+function daysSinceJ2000(date) {
+    return date.getTime() / 86400000 + 2440587.5 - J2000;
+}
+
+// Ecliptic coordinates to right ascension / declination (radians)
+function eclipticToEquatorial(longitude, latitude) {
+    return {
+        rightAscension: Math.atan2(
+            Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+            Math.cos(longitude)
+        ),
+        declination: Math.asin(
+            Math.sin(latitude) * Math.cos(OBLIQUITY) +
+            Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+        )
+    };
+}
+
+function moonCoordinates(d) {
+    const meanLongitude = toRadians(218.316 + 13.176396 * d);
+    const meanAnomaly = toRadians(134.963 + 13.064993 * d);
+    const argumentOfLatitude = toRadians(93.272 + 13.229350 * d);
+    
+    const longitude = meanLongitude + toRadians(6.289) * Math.sin(meanAnomaly);
+    const latitude = toRadians(5.128) * Math.sin(argumentOfLatitude);
+    const distance = 385001 - 20905 * Math.cos(meanAnomaly); // km
+    
+    return { ...eclipticToEquatorial(longitude, latitude), distance };
+}
+
+function sunCoordinatesForMoon(d) {
+    const meanAnomaly = toRadians(357.5291 + 0.98560028 * d);
+    const center = toRadians(1.9148 * Math.sin(meanAnomaly) +
+                             0.02 * Math.sin(2 * meanAnomaly) +
+                             0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = toRadians(102.9372);
+    const longitude = meanAnomaly + center + perihelion + Math.PI;
+    
+    return { ...eclipticToEquatorial(longitude, 0), distance: 149598000 }; // km
+}
+
+// { elevation, azimuth, distance } - degrees, azimuth clockwise from North, km
+function getMoonPosition(date, latitude, longitude) {
+    const d = daysSinceJ2000(date);
+    const moon = moonCoordinates(d);
+    
+    const lat = toRadians(latitude);
+    const siderealTime = toRadians(280.16 + 360.9856235 * d) + toRadians(longitude);
+    const hourAngle = siderealTime - moon.rightAscension;
+    
+    let elevation = Math.asin(
+        Math.sin(lat) * Math.sin(moon.declination) +
+        Math.cos(lat) * Math.cos(moon.declination) * Math.cos(hourAngle)
+    );
+    
+    // Refraction (Sæmundsson), only meaningful near and above the horizon
+    const h = Math.max(elevation, 0);
+    elevation += 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+    
+    const azimuth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(lat) - Math.tan(moon.declination) * Math.cos(lat)
+    );
+    
+    return {
+        elevation: toDegrees(elevation),
+        azimuth: (toDegrees(azimuth) + 180) % 360,
+        distance: moon.distance
+    };
+}
+
+// { fraction, phase }
+// fraction - illuminated fraction of the disc (0 new to 1 full)
+// phase    - position in the lunar cycle: 0 new, 0.25 first quarter,
+//            0.5 full, 0.75 last quarter
+function getMoonIllumination(date) {
+    const d = daysSinceJ2000(date);
+    const sun = sunCoordinatesForMoon(d);
+    const moon = moonCoordinates(d);
+    
+    // Sun-Earth-Moon elongation, then the Sun-Moon-Earth phase angle
+    const elongation = Math.acos(
+        Math.sin(sun.declination) * Math.sin(moon.declination) +
+        Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+    );
+    const phaseAngle = Math.atan2(sun.distance * Math.sin(elongation), moon.distance - sun.distance * Math.cos(elongation));
+    
+    // Waxing or waning, from the position angle of the bright limb
+    const limbAngle = Math.atan2(
+        Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+        Math.sin(sun.declination) * Math.cos(moon.declination) -
+        Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+    );
+    
+    return {
+        fraction: (1 + Math.cos(phaseAngle)) / 2,
+        phase: 0.5 + 0.5 * phaseAngle * (limbAngle < 0 ? -1 : 1) / Math.PI
+    };
+}
+
+function getMoonPhaseName(phase) {
+    const names = [
+        'new moon', 'waxing crescent', 'first quarter', 'waxing gibbous',
+        'full moon', 'waning gibbous', 'last quarter', 'waning crescent'
+    ];
+    return names[Math.round(phase * 8) % 8];
+}
@@ -0,0 +1,111 @@
+// Motion sensing: step cadence, shakes and tilt
+//
+// GPS needs several meters of movement and updates about once a second;
+// the accelerometer reports dozens of times a second. MotionAnalyzer turns
+// devicemotion and deviceorientation events into:
+//
+// - cadence     - steps per minute, from the bounce in the acceleration
+//                 magnitude (0 when no step for STEP_MAX_INTERVAL)
+// - shake       - 0-1, how hard the phone was jolted; jumps up at once and
+//                 dies away over about a second
+// - tiltForward - the orientation event's beta: 0 lying flat, 90 upright
+// - tiltSide    - its gamma: negative tilted left, positive right
+//
+// Each is null until the sensor has reported.
+
+const STEP_THRESHOLD = 1.2; // m/s² of bounce above gravity that counts as a footfall
+const STEP_SMOOTHING = 0.08; // seconds (time constant); takes the edge off the jitter
+const STEP_MIN_INTERVAL = 0.25; // seconds; faster than 240 steps a minute isn't walking
+const STEP_MAX_INTERVAL = 2; // seconds; slower than this and we've stopped
+const CADENCE_STEPS = 4; // step intervals averaged into the cadence
+const GRAVITY_SMOOTHING = 1; // seconds (time constant) of the gravity estimate
+const SHAKE_FULL = 25; // m/s² of acceleration that reads as shake 1
+const SHAKE_RELEASE = 0.4; // seconds (time constant)
+
+class MotionAnalyzer {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.time = null; // seconds, of the last motion event
+        this.gravity = null; // m/s²; slow average of the acceleration magnitude
+        this.bounce = 0; // m/s² above (or below) gravity, smoothed
+        this.stepArmed = true; // the bounce fell back below gravity since the last step
+        this.lastStep = null;
+        this.stepIntervals = [];
+        
+        this.cadence = null;
+        this.shake = null;
+        this.tiltForward = null;
+        this.tiltSide = null;
+    }
+    
+    // A devicemotion event; `time` in ms (the event's timeStamp).
+    // Returns false when the event carried no usable acceleration.
+    update(event, time) {
+        const gravityVector = event.accelerationIncludingGravity;
+        if (!gravityVector || !Number.isFinite(gravityVector.x) || !Number.isFinite(gravityVector.y) || !Number.isFinite(gravityVector.z)) {
+            return false;
+        }
+        
+        const seconds = time / 1000;
+        const dt = this.time === null ? 0 : Math.max(0, seconds - this.time);
+        this.time = seconds;
+        
+        // Footfalls are bumps in the overall magnitude, whichever way the phone faces
+        const magnitude = Math.hypot(gravityVector.x, gravityVector.y, gravityVector.z);
+        if (this.gravity === null) this.gravity = magnitude;
+        this.gravity += (magnitude - this.gravity) * (1 - Math.exp(-dt / GRAVITY_SMOOTHING));
+        this.bounce += (magnitude - this.gravity - this.bounce) * (1 - Math.exp(-dt / STEP_SMOOTHING));
+        this.detectStep(seconds);
+        
+        // Shakes from the acceleration without gravity where the device gives it
+        const motion = event.acceleration;
+        const jolt = motion && Number.isFinite(motion.x) && Number.isFinite(motion.y) && Number.isFinite(motion.z)
+            ? Math.hypot(motion.x, motion.y, motion.z)
+            : Math.abs(magnitude - this.gravity);
+        const decayed = (this.shake || 0) * Math.exp(-dt / SHAKE_RELEASE);
+        this.shake = Math.max(decayed, Math.min(1, jolt / SHAKE_FULL));
+        
+        return true;
+    }
+    
+    detectStep(time) {
+        // One step per bounce: count the rise through the threshold, then
+        // wait for the bounce to fall back before counting again
+        if (this.bounce < 0) {
+            this.stepArmed = true;
+        } else if (this.stepArmed && this.bounce > STEP_THRESHOLD &&
+                   (this.lastStep === null || time - this.lastStep >= STEP_MIN_INTERVAL)) {
+            this.stepArmed = false;
+            
+            if (this.lastStep !== null && time - this.lastStep <= STEP_MAX_INTERVAL) {
+                this.stepIntervals.push(time - this.lastStep);
+                if (this.stepIntervals.length > CADENCE_STEPS) this.stepIntervals.shift();
+            }
+            this.lastStep = time;
+        }
+        
+        // Stopped walking
+        if (this.lastStep === null || time - this.lastStep > STEP_MAX_INTERVAL) {
+            this.stepIntervals = [];
+        }
+        
+        if (this.stepIntervals.length > 0) {
+            const mean = this.stepIntervals.reduce((sum, interval) => sum + interval, 0) / this.stepIntervals.length;
+            this.cadence = 60 / mean;
+        } else {
+            this.cadence = 0;
+        }
+    }
+    
+    // A deviceorientation event's beta and gamma (degrees)
+    updateTilt(beta, gamma) {
+        if (!Number.isFinite(beta) || !Number.isFinite(gamma)) return false;
+        
+        this.tiltForward = beta;
+        this.tiltSide = gamma;
+        return true;
+    }
+}
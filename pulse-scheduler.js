@@ -0,0 +1,140 @@
+// Look-ahead pulse scheduler
+//
+// Plans every oscillator's fade-ins and fade-outs on the audio clock ahead
+// of time, instead of waiting on setTimeout for each one. Timers only have
+// to wake up now and then to top the schedule up, so throttled timers (a
+// locked screen or background tab) no longer stall or bunch up pulses:
+// what is already scheduled plays on time regardless.
+//
+// The same scheduler drives offline renders, advanced between timeline
+// events instead of by a timer.
+//
+// A voice waiting for its next pulse can still be moved: shorten() replans
+// waits the current parameters no longer allow, and trigger() brings a
+// silent voice in straight away. Only pulses not yet handed to start() move.
+
+// How pulse intervals and durations are drawn between their min and max
+const PULSE_DISTRIBUTIONS = {
+    // Any value equally likely (the original behavior)
+    uniform: (min, max, random) => min + random() * (max - min),
+    
+    // Mostly short, occasionally long: min plus an exponential tail with a
+    // mean a quarter of the range, capped at max
+    exponential: (min, max, random) => {
+        const mean = (max - min) / 4;
+        return Math.min(max, min - mean * Math.log(1 - random()));
+    },
+    
+    // Clustered around the middle (normal, 99.7% inside the range)
+    gaussian: (min, max, random) => {
+        const u = 1 - random();
+        const v = random();
+        const normal = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(min, Math.min(max, (min + max) / 2 + normal * (max - min) / 6));
+    },
+    
+    // Always the middle: a steady rhythm
+    fixed: (min, max) => (min + max) / 2
+};
+
+function sampleDistribution(name, min, max, random) {
+    const sample = PULSE_DISTRIBUTIONS[name] || PULSE_DISTRIBUTIONS.uniform;
+    return sample(Math.min(min, max), Math.max(min, max), random);
+}
+
+class PulseScheduler {
+    // handlers:
+    //   plan(voice)              -> { interval, duration, fadeIn, fadeOut } in seconds
+    //   start(voice, pulse, time) - fade in at `time`
+    //   end(voice, pulse, time)   - fade out at `time`
+    constructor(voiceCount, handlers) {
+        this.voiceCount = voiceCount;
+        this.handlers = handlers;
+        this.voices = [];
+    }
+    
+    // Plans each voice's first pulse, counting from `time`
+    reset(time) {
+        this.voices = Array.from({ length: this.voiceCount }, (v, i) => {
+            const pulse = this.handlers.plan(i);
+            return { time: time + pulse.interval, phase: 'start', pulse, quietAt: time };
+        });
+    }
+    
+    // Schedules every fade before `until`, across all voices in time order,
+    // so each pulse is planned with the parameters current at that point
+    advance(until) {
+        while (true) {
+            let next = -1;
+            this.voices.forEach((voice, i) => {
+                if (next < 0 || voice.time < this.voices[next].time) next = i;
+            });
+            
+            if (next < 0 || this.voices[next].time >= until) return;
+            
+            const voice = this.voices[next];
+            if (voice.phase === 'start') {
+                this.handlers.start(next, voice.pulse, voice.time);
+                this.voices[next] = { time: voice.time + voice.pulse.duration, phase: 'end', pulse: voice.pulse };
+            } else {
+                this.handlers.end(next, voice.pulse, voice.time);
+                const pulse = this.handlers.plan(next);
+                this.voices[next] = {
+                    time: voice.time + pulse.interval,
+                    phase: 'start',
+                    pulse,
+                    quietAt: voice.time + voice.pulse.fadeOut
+                };
+            }
+        }
+    }
+    
+    // When timers were held up for longer than the look-ahead, some fades are
+    // already in the past. Rather than firing that backlog all at once, fade
+    // out what should have ended and replan every late voice from `time`.
+    catchUp(time) {
+        this.voices.forEach((voice, i) => {
+            if (voice.time >= time) return;
+            
+            let quietAt = voice.quietAt;
+            if (voice.phase === 'end') {
+                this.handlers.end(i, voice.pulse, time);
+                quietAt = time + voice.pulse.fadeOut;
+            }
+            const pulse = this.handlers.plan(i);
+            this.voices[i] = { time: time + pulse.interval, phase: 'start', pulse, quietAt };
+        });
+    }
+    
+    // Replans every waiting voice whose next pulse is further off than
+    // maxInterval(voice) allows, counting from `time` (or from when the
+    // voice went quiet, if later), so shorter intervals are heard at once
+    // instead of after the long waits planned before them. Returns whether
+    // any voice moved.
+    shorten(time, maxInterval) {
+        let moved = false;
+        
+        this.voices.forEach((voice, i) => {
+            if (voice.phase !== 'start') return;
+            
+            const from = Math.max(time, voice.quietAt);
+            if (voice.time <= from + maxInterval(i)) return;
+            
+            const pulse = this.handlers.plan(i);
+            this.voices[i] = { ...voice, time: from + Math.min(pulse.interval, maxInterval(i)), pulse };
+            moved = true;
+        });
+        
+        return moved;
+    }
+    
+    // Starts `pulse` on a voice at `time` if the voice is silent by then;
+    // returns whether it did
+    trigger(voice, time, pulse) {
+        const state = this.voices[voice];
+        if (!state || state.phase !== 'start' || state.quietAt > time || state.time <= time) return false;
+        
+        this.voices[voice] = { ...state, time, pulse };
+        return true;
+    }
+}
@@ -0,0 +1,39 @@
+// Seedable random numbers
+//
+// createRandom(seed) returns a function with the same contract as
+// Math.random() (a float in [0, 1)), but the same seed always gives the
+// same sequence, so a run can be reproduced.
+
+// A fresh 32-bit seed
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// mulberry32: small, fast and well distributed enough for audio
+function createRandom(seed) {
+    let state = seed >>> 0;
+    
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+// Independent generators from one seed, one per name, so how many numbers
+// one part of the engine draws (say, more raindrops in heavier rain) never
+// shifts the sequence another part sees
+function createRandomStreams(seed, names) {
+    const streams = {};
+    names.forEach(name => {
+        // FNV-1a hash of the name, mixed with the seed
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < name.length; i++) {
+            hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+        }
+        streams[name] = createRandom(hash ^ seed);
+    });
+    return streams;
+}
@@ -0,0 +1,248 @@
+// Reverb: procedural rooms and loaded impulse responses
+//
+// The wet send plays through a Reverb, one convolver per impulse. A new
+// impulse goes into a fresh convolver that fades in over REVERB_CROSSFADE
+// while the one before fades out, so the room can change under sound
+// without clicks. A convolver that has faded out is let go, and offline
+// one is only connected once its fade is about to start, so only the ones
+// sounding cost anything.
+//
+// Procedural impulses come from a space (REVERB_SPACES) and two values the
+// patch maps from the environment (by default humidity and temperature):
+//
+// decay   - RT60 in seconds: how long the tail takes to fall by 60 dB
+// damping - Hz the tail has darkened to by the time it dies away; the highs
+//           die first, as they do in air and off soft surfaces
+//
+// A space scales those and adds pre-delay (the gap before the tail), early
+// reflections, and width: how far the two channels' tails differ (0 the
+// same in both, 1 unrelated).
+//
+// A loaded impulse response (any mono, stereo or 4-channel file the browser
+// decodes, usually WAV) replaces the procedural room until cleared.
+
+const REVERB_CROSSFADE = 2; // seconds
+const REVERB_DECAY_RANGE = [0.2, 10]; // seconds
+const REVERB_DAMPING_RANGE = [200, 20000]; // Hz
+const REVERB_REFLECTION_LENGTH = 0.003; // seconds; each reflection is a short burst, not a click
+const REVERB_REFLECTION_LEVEL = 3; // a reflection of gain 1 against the start of the tail
+const RENDER_QUANTUM = 128; // frames; offline suspend() times are rounded to these
+
+// reflections(random) lists { time (s), gain, pan (-1 left, 1 right) }
+const REVERB_SPACES = {
+    hall: {
+        name: 'Hall',
+        description: 'A diffuse tail with no distinct reflections',
+        preDelay: 0, decay: 1, damping: 1, width: 1,
+        reflections: () => []
+    },
+    'open-field': {
+        name: 'Open field',
+        description: 'One reflection off the ground and a short, faint tail',
+        preDelay: 0.006, decay: 0.3, damping: 0.7, width: 0.8,
+        reflections: () => [{ time: 0.006, gain: 0.8, pan: 0 }]
+    },
+    'street-canyon': {
+        name: 'Street canyon',
+        description: 'Flutter echoes between two facades, left and right in turn, and a bright tail',
+        preDelay: 0.03, decay: 0.8, damping: 1.5, width: 0.5,
+        reflections: random => {
+            // Facades 15-25 m apart
+            const interval = (15 + random() * 10) / 343;
+            return Array.from({ length: 12 }, (value, i) => ({
+                time: interval * (i + 0.5),
+                gain: Math.pow(0.75, i),
+                pan: i % 2 ? 0.7 : -0.7
+            }));
+        }
+    },
+    forest: {
+        name: 'Forest',
+        description: 'Many scattered reflections off trunks and a dark tail',
+        preDelay: 0.012, decay: 0.6, damping: 0.4, width: 1,
+        reflections: random => Array.from({ length: 40 }, () => {
+            const time = 0.004 + random() * 0.15;
+            return { time, gain: 0.6 * random() * (1 - time / 0.16), pan: random() * 2 - 1 };
+        })
+    }
+};
+
+const DEFAULT_REVERB_SPACE = 'hall';
+
+// An impulse for `space` with the given decay (s) and damping (Hz)
+function createRoomImpulse(ctx, { space, decay, damping }, random) {
+    const room = REVERB_SPACES[space] || REVERB_SPACES[DEFAULT_REVERB_SPACE];
+    const sampleRate = ctx.sampleRate;
+    const rt60 = Math.max(REVERB_DECAY_RANGE[0], Math.min(REVERB_DECAY_RANGE[1], decay * room.decay));
+    const cutoff = Math.max(REVERB_DAMPING_RANGE[0], Math.min(REVERB_DAMPING_RANGE[1], damping * room.damping));
+    
+    const preDelay = Math.round(room.preDelay * sampleRate);
+    const tailLength = Math.ceil(rt60 * sampleRate);
+    const impulse = ctx.createBuffer(2, preDelay + tailLength, sampleRate);
+    const channels = [impulse.getChannelData(0), impulse.getChannelData(1)];
+    
+    // Diffuse tail: noise falling 60 dB over rt60 through a low-pass that
+    // closes from the top of the range to `cutoff`. Each channel mixes noise
+    // common to both with its own, in proportions set by the width.
+    const shared = Math.sqrt(1 - room.width);
+    const own = Math.sqrt(room.width);
+    const decayStep = Math.pow(10, -3 / tailLength);
+    const [left, right] = channels;
+    let envelope = 1;
+    let filteredLeft = 0;
+    let filteredRight = 0;
+    let coefficient = 0;
+    for (let i = 0; i < tailLength; i++) {
+        // The sweep moves slowly enough to update every 64 samples
+        if (i % 64 === 0) {
+            const frequency = REVERB_DAMPING_RANGE[1] * Math.pow(cutoff / REVERB_DAMPING_RANGE[1], i / tailLength);
+            coefficient = 1 - Math.exp(-2 * Math.PI * Math.min(frequency, sampleRate / 2) / sampleRate);
+        }
+        
+        const common = shared * (random() * 2 - 1);
+        filteredLeft += coefficient * (common + own * (random() * 2 - 1) - filteredLeft);
+        filteredRight += coefficient * (common + own * (random() * 2 - 1) - filteredRight);
+        left[preDelay + i] = filteredLeft * envelope;
+        right[preDelay + i] = filteredRight * envelope;
+        envelope *= decayStep;
+    }
+    
+    // Early reflections: short noise bursts, panned between the channels
+    const burst = Math.max(1, Math.round(REVERB_REFLECTION_LENGTH * sampleRate));
+    room.reflections(random).forEach(({ time, gain, pan }) => {
+        const start = Math.round(time * sampleRate);
+        const angle = (pan + 1) * Math.PI / 4;
+        const levels = [Math.cos(angle), Math.sin(angle)];
+        
+        for (let i = 0; i < burst && start + i < impulse.length; i++) {
+            const sample = (random() * 2 - 1) * gain * REVERB_REFLECTION_LEVEL * (1 - i / burst);
+            channels.forEach((data, c) => {
+                data[start + i] += sample * levels[c];
+            });
+        }
+    });
+    
+    return impulse;
+}
+
+// Decodes an impulse response file (an ArrayBuffer) for `ctx`, resampled
+// to its rate
+async function decodeImpulseResponse(ctx, data) {
+    // decodeAudioData takes the buffer over, and the file is decoded again
+    // for every run
+    const buffer = await ctx.decodeAudioData(data.slice(0));
+    if (![1, 2, 4].includes(buffer.numberOfChannels)) {
+        throw new Error(`Impulse responses must be mono, stereo or 4-channel, not ${buffer.numberOfChannels} channels`);
+    }
+    return buffer;
+}
+
+class Reverb {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.slots = []; // [{ convolver, gain, until }]; until = when it has faded out
+        this.fadeEnd = 0; // audio time the latest crossfade ends
+        
+        // An offline render is scheduled before it starts, with the clock
+        // standing at 0, so convolvers are connected and let go by
+        // suspending the render when their time comes instead
+        this.isOffline = typeof ctx.startRendering === 'function' && typeof ctx.suspend === 'function';
+        this.suspends = new Map(); // offline: first frame of a suspend -> what it does
+    }
+    
+    // Fades `buffer` in over `fade` seconds from `when` as the impulse
+    // before it fades out (the first one sounds at once)
+    setImpulse(buffer, when, fade = REVERB_CROSSFADE) {
+        // Let go of convolvers that have faded out
+        this.slots
+            .filter(slot => slot.until !== null && slot.until <= this.ctx.currentTime)
+            .forEach(slot => this.release(slot));
+        
+        const convolver = this.ctx.createConvolver();
+        convolver.buffer = buffer;
+        const gain = this.ctx.createGain();
+        convolver.connect(gain);
+        gain.connect(this.output);
+        
+        // Offline, from the quantum its fade starts in (it's silent until then)
+        const startFrame = Math.floor(when * this.ctx.sampleRate / RENDER_QUANTUM) * RENDER_QUANTUM;
+        if (this.isOffline && startFrame > 0 && this.canSuspendAt(startFrame)) {
+            this.atFrame(startFrame, () => this.input.connect(convolver));
+        } else {
+            this.input.connect(convolver);
+        }
+        
+        const fading = fade > 0 && this.slots.length > 0;
+        gain.gain.value = fading ? 0 : 1;
+        if (fading) {
+            gain.gain.setValueAtTime(0, when);
+            gain.gain.linearRampToValueAtTime(1, when + fade);
+        }
+        
+        this.slots.forEach(slot => {
+            if (slot.until !== null) return;
+            if (fading) {
+                slot.gain.gain.setValueAtTime(1, when);
+                slot.gain.gain.linearRampToValueAtTime(0, when + fade);
+            } else {
+                slot.gain.gain.setValueAtTime(0, when);
+            }
+            slot.until = when + (fading ? fade : 0);
+            if (this.isOffline) this.releaseAt(slot);
+        });
+        
+        this.slots.push({ convolver, gain, until: null });
+        this.fadeEnd = when + (fading ? fade : 0);
+    }
+    
+    release(slot) {
+        this.input.disconnect(slot.convolver);
+        slot.gain.disconnect();
+        this.slots = this.slots.filter(entry => entry !== slot);
+    }
+    
+    // Offline: lets go of `slot` at the first render quantum after it has
+    // faded out
+    releaseAt(slot) {
+        const frame = (Math.floor(slot.until * this.ctx.sampleRate / RENDER_QUANTUM) + 1) * RENDER_QUANTUM;
+        if (!this.canSuspendAt(frame)) return; // the render ends first
+        
+        this.atFrame(frame, () => this.release(slot));
+    }
+    
+    // The suspend lands halfway into the quantum from `frame`, which must
+    // still be inside the render
+    canSuspendAt(frame) {
+        return frame + RENDER_QUANTUM <= this.ctx.length;
+    }
+    
+    // Offline: runs `action` with the render suspended at `frame` (a
+    // multiple of RENDER_QUANTUM). One suspend per quantum, as the context
+    // allows. Should the render refuse one, its actions run once the
+    // render is done.
+    atFrame(frame, action) {
+        if (!this.suspends.has(frame)) {
+            this.suspends.set(frame, []);
+            // Halfway into the quantum, so rounding either way lands on it
+            this.ctx.suspend((frame + RENDER_QUANTUM / 2) / this.ctx.sampleRate)
+                .then(() => {
+                    this.suspends.get(frame).forEach(entry => entry());
+                    this.suspends.delete(frame);
+                    return this.ctx.resume();
+                })
+                .catch(error => {
+                    console.warn('Reverb could not suspend the render:', error);
+                    const actions = this.suspends.get(frame) || [];
+                    this.suspends.delete(frame);
+                    this.ctx.addEventListener('complete', () => actions.forEach(entry => entry()), { once: true });
+                });
+        }
+        this.suspends.get(frame).push(action);
+    }
+    
+    isFading(time) {
+        return time < this.fadeEnd;
+    }
+}
@@ -0,0 +1,163 @@
+// Route import: GPX tracks, KML paths and GeoJSON LineStrings
+//
+// parseRoute() returns { name, points } where each point is
+// { latitude, longitude, altitude, time } and `time` is milliseconds since
+// the epoch, or null when the file has no timestamps for that point.
+
+function parseRoute(text, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    const trimmed = text.trim();
+    
+    let route;
+    if (extension === 'gpx' || /<gpx[\s>]/.test(trimmed)) {
+        route = parseGPX(trimmed);
+    } else if (extension === 'kml' || /<kml[\s>]/.test(trimmed)) {
+        route = parseKML(trimmed);
+    } else if (trimmed.startsWith('{')) {
+        route = parseGeoJSON(JSON.parse(trimmed));
+    } else {
+        throw new Error('Unrecognized route file (expected GPX, KML or GeoJSON)');
+    }
+    
+    if (route.points.length < 2) {
+        throw new Error('Route needs at least two points');
+    }
+    
+    if (!route.name) {
+        route.name = filename.replace(/\.[^.]+$/, '') || 'Route';
+    }
+    
+    return route;
+}
+
+function parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Route file is not valid XML');
+    }
+    return doc;
+}
+
+function parseTime(value) {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+}
+
+function childText(element, tagName) {
+    const child = element.getElementsByTagName(tagName)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+function parseGPX(text) {
+    const doc = parseXML(text);
+    
+    // Prefer track points, then route points, then bare waypoints
+    let nodes = doc.getElementsByTagName('trkpt');
+    if (!nodes.length) nodes = doc.getElementsByTagName('rtept');
+    if (!nodes.length) nodes = doc.getElementsByTagName('wpt');
+    
+    const points = Array.from(nodes).map(node => {
+        const ele = childText(node, 'ele');
+        return {
+            latitude: parseFloat(node.getAttribute('lat')),
+            longitude: parseFloat(node.getAttribute('lon')),
+            altitude: ele !== null ? parseFloat(ele) : null,
+            time: parseTime(childText(node, 'time'))
+        };
+    });
+    
+    return { name: childText(doc.documentElement, 'name'), points: points.filter(isValidPoint) };
+}
+
+function parseKML(text) {
+    const doc = parseXML(text);
+    const name = childText(doc.documentElement, 'name');
+    
+    // gx:Track carries timestamps (<when>) alongside <gx:coord> "lon lat alt"
+    const whens = doc.getElementsByTagName('when');
+    const coords = doc.getElementsByTagName('gx:coord');
+    if (coords.length) {
+        const points = Array.from(coords).map((node, i) => {
+            const [lon, lat, alt] = node.textContent.trim().split(/\s+/).map(parseFloat);
+            return {
+                latitude: lat,
+                longitude: lon,
+                altitude: isNaN(alt) ? null : alt,
+                time: whens[i] ? parseTime(whens[i].textContent.trim()) : null
+            };
+        });
+        return { name, points: points.filter(isValidPoint) };
+    }
+    
+    // Plain LineString paths: "lon,lat[,alt] lon,lat[,alt] ..."
+    const points = [];
+    Array.from(doc.getElementsByTagName('LineString')).forEach(line => {
+        const coordinates = childText(line, 'coordinates') || '';
+        coordinates.split(/\s+/).filter(Boolean).forEach(tuple => {
+            const [lon, lat, alt] = tuple.split(',').map(parseFloat);
+            points.push({
+                latitude: lat,
+                longitude: lon,
+                altitude: isNaN(alt) ? null : alt,
+                time: null
+            });
+        });
+    });
+    
+    return { name, points: points.filter(isValidPoint) };
+}
+
+function parseGeoJSON(json) {
+    let features;
+    if (json.type === 'FeatureCollection') {
+        features = json.features;
+    } else if (json.type === 'Feature') {
+        features = [json];
+    } else {
+        features = [{ type: 'Feature', geometry: json, properties: {} }];
+    }
+    
+    const points = [];
+    let name = null;
+    
+    features.forEach(feature => {
+        const geometry = feature.geometry;
+        const properties = feature.properties || {};
+        if (!geometry) return;
+        
+        let lines;
+        if (geometry.type === 'LineString') {
+            lines = [geometry.coordinates];
+        } else if (geometry.type === 'MultiLineString') {
+            lines = geometry.coordinates;
+        } else {
+            return;
+        }
+        
+        if (!name && properties.name) name = properties.name;
+        
+        // Timestamps by convention live in properties.coordTimes (or .times),
+        // parallel to the coordinates
+        const times = properties.coordTimes || properties.times || [];
+        
+        lines.forEach((line, lineIndex) => {
+            const lineTimes = Array.isArray(times[0]) ? times[lineIndex] || [] : times;
+            line.forEach(([lon, lat, alt], i) => {
+                points.push({
+                    latitude: lat,
+                    longitude: lon,
+                    altitude: typeof alt === 'number' ? alt : null,
+                    time: parseTime(lineTimes[i])
+                });
+            });
+        });
+    });
+    
+    return { name, points: points.filter(isValidPoint) };
+}
+
+function isValidPoint(point) {
+    return isFinite(point.latitude) && isFinite(point.longitude);
+}
@@ -0,0 +1,206 @@
+// Session recording and replay
+//
+// A session is a JSON track of every environmental update sent to the engine:
+//
+// {
+//   "format": "environmental-sines-session",
+//   "version": 1,
+//   "startedAt": "2026-05-01T14:03:00.000Z",   // wall-clock start (ISO 8601)
+//   "duration": 612.4,                          // seconds
+//   "seed": 2843001234,                         // engine random seed, or null
+//   "events": [
+//     { "time": 0, "data": { "latitude": 40.71, "longitude": -74.0, "speed": 0,
+//                            "temperature": 18, "humidity": 60, "heading": 12,
+//                            "altitude": 24, "climbRate": 0.1, "ascent": 8,
+//                            "cadence": 112, "shake": 0.05, "tiltForward": 40, "tiltSide": -3,
+//                            "micLevel": -48, "micCentroid": 950, "micPitch": 100.2,
+//                            "weatherDescription": "clear sky", "windSpeed": 3.2,
+//                            "windDirection": 240, "pressure": 1016, "cloudCover": 10,
+//                            "precipitation": 0, "timeOfDay": 0.584,
+//                            "timestamp": 1777644180000 } },
+//     ...
+//   ]
+// }
+//
+// `time` is seconds since recording started. Each `data` is a full snapshot of
+// currentData, so any single event is enough to restore the state at that time.
+// The events array doubles as a timeline for audioEngine.renderOffline();
+// rendering it with the session's seed recreates the take.
+
+const SESSION_FORMAT = 'environmental-sines-session';
+const SESSION_VERSION = 1;
+
+class SessionRecorder {
+    // `clock` gives the time in ms; the stem recorder passes the audio clock
+    // so the events line up with its stems
+    constructor(clock = () => performance.now()) {
+        this.clock = clock;
+        this.events = [];
+        this.startedAt = null;
+        this.startTime = 0;
+        this.isRecording = false;
+        this.seed = null; // audioEngine.activeSeed while recording, set by the app
+        
+        // Updates closer together than this (seconds) replace the previous
+        // event instead of adding one (compass events can arrive at 60 Hz)
+        this.minInterval = 0.1;
+    }
+    
+    start() {
+        this.events = [];
+        this.startedAt = new Date();
+        this.startTime = this.clock();
+        this.isRecording = true;
+    }
+    
+    stop() {
+        this.isRecording = false;
+    }
+    
+    record(data) {
+        if (!this.isRecording) return;
+        
+        const time = (this.clock() - this.startTime) / 1000;
+        const snapshot = { ...data };
+        const last = this.events[this.events.length - 1];
+        
+        if (last && time - last.time < this.minInterval) {
+            last.data = snapshot;
+            return;
+        }
+        
+        this.events.push({ time, data: snapshot });
+    }
+    
+    get duration() {
+        if (!this.events.length) return 0;
+        return this.events[this.events.length - 1].time;
+    }
+    
+    toJSON() {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+            duration: this.duration,
+            seed: this.seed,
+            events: this.events
+        };
+    }
+}
+
+function parseSession(json) {
+    const track = typeof json === 'string' ? JSON.parse(json) : json;
+    
+    if (!track || track.format !== SESSION_FORMAT) {
+        throw new Error('Not an Environmental Sines session file');
+    }
+    if (track.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version: ${track.version}`);
+    }
+    if (!Array.isArray(track.events) || !track.events.length) {
+        throw new Error('Session contains no events');
+    }
+    track.events.forEach((event, i) => {
+        if (!event || !Number.isFinite(event.time) || event.time < 0) {
+            throw new Error(`Event ${i + 1}: "time" must be a number of seconds from 0`);
+        }
+    });
+    
+    // Sessions recorded before seeds were logged have none
+    if (!Number.isInteger(track.seed) || track.seed < 0) {
+        track.seed = null;
+    }
+    
+    track.events.sort((a, b) => a.time - b.time);
+    track.duration = track.events[track.events.length - 1].time;
+    
+    return track;
+}
+
+class SessionReplay {
+    constructor(track) {
+        this.track = track;
+        this.position = 0; // seconds into the track
+        this.speed = 1;    // playback rate (1 = real time)
+        this.isPlaying = false;
+        this.nextEvent = 0;
+        
+        this.tickInterval = null;
+        this.lastTick = 0;
+        
+        this.onData = null;     // (data) => void
+        this.onPosition = null; // (seconds) => void
+        this.onEnd = null;      // () => void
+    }
+    
+    get duration() {
+        return this.track.duration;
+    }
+    
+    play() {
+        if (this.isPlaying) return;
+        if (this.position >= this.duration) {
+            this.seek(0);
+        }
+        
+        this.isPlaying = true;
+        this.lastTick = performance.now();
+        this.tickInterval = setInterval(() => this.tick(), 100);
+    }
+    
+    pause() {
+        if (!this.isPlaying) return;
+        
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.isPlaying = false;
+    }
+    
+    seek(time) {
+        this.position = Math.max(0, Math.min(this.duration, time));
+        
+        // Jump straight to the latest snapshot at or before the new position
+        const events = this.track.events;
+        this.nextEvent = 0;
+        while (this.nextEvent < events.length && events[this.nextEvent].time <= this.position) {
+            this.nextEvent++;
+        }
+        
+        if (this.nextEvent > 0) {
+            this.emitData(events[this.nextEvent - 1].data);
+        }
+        if (this.onPosition) this.onPosition(this.position);
+    }
+    
+    tick() {
+        const now = performance.now();
+        this.position += (now - this.lastTick) / 1000 * this.speed;
+        this.lastTick = now;
+        
+        // At high speeds several events can pass in one tick; only the
+        // latest matters since each one is a full snapshot
+        const events = this.track.events;
+        let latest = null;
+        while (this.nextEvent < events.length && events[this.nextEvent].time <= this.position) {
+            latest = events[this.nextEvent];
+            this.nextEvent++;
+        }
+        
+        if (latest) this.emitData(latest.data);
+        
+        if (this.position >= this.duration) {
+            this.position = this.duration;
+            this.pause();
+            if (this.onPosition) this.onPosition(this.position);
+            if (this.onEnd) this.onEnd();
+            return;
+        }
+        
+        if (this.onPosition) this.onPosition(this.position);
+    }
+    
+    emitData(data) {
+        if (this.onData) this.onData({ ...data });
+    }
+}
@@ -0,0 +1,160 @@
+// Solar position (NOAA solar calculator algorithms)
+//
+// All functions take a Date (an absolute instant, so the device's timezone and
+// daylight saving are already accounted for) plus latitude/longitude in degrees.
+// Accurate to well under a degree between 1900 and 2100.
+
+const SUN_EVENTS = {
+    sunrise: -0.833,        // upper limb on the horizon, with refraction
+    civil: -6,
+    nautical: -12,
+    astronomical: -18
+};
+
+// Twilight phases in order of increasing brightness
+const TWILIGHT_PHASES = ['night', 'astronomical', 'nautical', 'civil', 'day'];
+
+function julianCentury(date) {
+    const julianDay = date.getTime() / 86400000 + 2440587.5;
+    return (julianDay - 2451545) / 36525;
+}
+
+// Declination (degrees) and equation of time (minutes) for an instant
+function solarCoordinates(date) {
+    const T = julianCentury(date);
+    
+    const meanLongitude = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
+    const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+    const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+    
+    const M = toRadians(meanAnomaly);
+    const center = Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+                   Math.sin(2 * M) * (0.019993 - 0.000101 * T) +
+                   Math.sin(3 * M) * 0.000289;
+    
+    const omega = toRadians(125.04 - 1934.136 * T);
+    const apparentLongitude = toRadians(meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega));
+    
+    const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+    const obliquity = toRadians(meanObliquity + 0.00256 * Math.cos(omega));
+    
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(apparentLongitude));
+    
+    const L0 = toRadians(meanLongitude);
+    const y = Math.pow(Math.tan(obliquity / 2), 2);
+    const equationOfTime = 4 * toDegrees(
+        y * Math.sin(2 * L0) -
+        2 * eccentricity * Math.sin(M) +
+        4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L0) -
+        0.5 * y * y * Math.sin(4 * L0) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * M)
+    );
+    
+    return { declination: toDegrees(declination), equationOfTime };
+}
+
+// Atmospheric refraction correction (degrees) for a true elevation
+function refraction(elevation) {
+    if (elevation > 85) return 0;
+    
+    const tanE = Math.tan(toRadians(elevation));
+    let arcSeconds;
+    if (elevation > 5) {
+        arcSeconds = 58.1 / tanE - 0.07 / Math.pow(tanE, 3) + 0.000086 / Math.pow(tanE, 5);
+    } else if (elevation > -0.575) {
+        arcSeconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+    } else {
+        arcSeconds = -20.772 / tanE;
+    }
+    return arcSeconds / 3600;
+}
+
+// { elevation, azimuth } in degrees; azimuth clockwise from North
+function getSunPosition(date, latitude, longitude) {
+    const { declination, equationOfTime } = solarCoordinates(date);
+    
+    // True solar time from UTC, corrected for longitude and the equation of time
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() +
+                       date.getUTCSeconds() / 60 + date.getUTCMilliseconds() / 60000;
+    const trueSolarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+    const hourAngle = toRadians(trueSolarTime / 4 - 180);
+    
+    const lat = toRadians(latitude);
+    const decl = toRadians(declination);
+    
+    const cosZenith = Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle);
+    const elevation = 90 - toDegrees(Math.acos(Math.max(-1, Math.min(1, cosZenith))));
+    
+    const azimuth = (toDegrees(Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(lat) - Math.tan(decl) * Math.cos(lat)
+    )) + 180) % 360;
+    
+    return {
+        elevation: elevation + refraction(elevation),
+        azimuth
+    };
+}
+
+// Solar noon, sunrise/sunset and twilight boundaries for the local solar day
+// containing `date`. Each event is a Date, or null when the sun never crosses
+// that elevation that day (polar day or night).
+function getSunTimes(date, latitude, longitude) {
+    // Midnight UTC of the local date at this longitude
+    const localDate = new Date(date.getTime() + longitude / 15 * 3600000);
+    const dayStart = Date.UTC(localDate.getUTCFullYear(), localDate.getUTCMonth(), localDate.getUTCDate());
+    
+    // Solar noon, refined once with the equation of time at noon itself
+    let noonMinutes = 720 - 4 * longitude;
+    for (let i = 0; i < 2; i++) {
+        const { equationOfTime } = solarCoordinates(new Date(dayStart + noonMinutes * 60000));
+        noonMinutes = 720 - 4 * longitude - equationOfTime;
+    }
+    const solarNoon = new Date(dayStart + noonMinutes * 60000);
+    
+    const { declination } = solarCoordinates(solarNoon);
+    const lat = toRadians(latitude);
+    const decl = toRadians(declination);
+    
+    // Minutes either side of solar noon at which the sun is at `elevation`
+    const halfArc = elevation => {
+        const cosH = (Math.sin(toRadians(elevation)) - Math.sin(lat) * Math.sin(decl)) /
+                     (Math.cos(lat) * Math.cos(decl));
+        if (cosH < -1 || cosH > 1) return null;
+        return toDegrees(Math.acos(cosH)) * 4;
+    };
+    
+    const times = { solarNoon };
+    const events = [
+        ['sunrise', 'sunset', SUN_EVENTS.sunrise],
+        ['civilDawn', 'civilDusk', SUN_EVENTS.civil],
+        ['nauticalDawn', 'nauticalDusk', SUN_EVENTS.nautical],
+        ['astronomicalDawn', 'astronomicalDusk', SUN_EVENTS.astronomical]
+    ];
+    
+    events.forEach(([morning, evening, elevation]) => {
+        const minutes = halfArc(elevation);
+        times[morning] = minutes === null ? null : new Date(solarNoon.getTime() - minutes * 60000);
+        times[evening] = minutes === null ? null : new Date(solarNoon.getTime() + minutes * 60000);
+    });
+    
+    return times;
+}
+
+// 'day', 'civil', 'nautical', 'astronomical' or 'night' for a sun elevation
+function getTwilightPhase(elevation) {
+    if (elevation >= SUN_EVENTS.sunrise) return 'day';
+    if (elevation >= SUN_EVENTS.civil) return 'civil';
+    if (elevation >= SUN_EVENTS.nautical) return 'nautical';
+    if (elevation >= SUN_EVENTS.astronomical) return 'astronomical';
+    return 'night';
+}
+
+// Fraction of the daylight period elapsed: 0 at sunrise, 0.5 at solar noon,
+// 1 at sunset (negative before sunrise, above 1 after sunset). Null during
+// polar day or night.
+function getDayProgress(date, times) {
+    if (!times.sunrise || !times.sunset) return null;
+    const length = times.sunset.getTime() - times.sunrise.getTime();
+    return (date.getTime() - times.sunrise.getTime()) / length;
+}
@@ -0,0 +1,145 @@
+// Spatial layout: where each voice sits around the listener
+//
+// A spatial layout is JSON:
+//
+// {
+//   "name": "Sun and lighthouse",
+//   "mode": "binaural",
+//   "landmark": { "label": "Lighthouse", "latitude": 50.07, "longitude": -5.71 },
+//   "voices": [
+//     { "voice": 0, "anchor": "north" },
+//     { "voice": [1, 2], "anchor": "sun", "bearing": 20 },
+//     { "voice": 3, "anchor": "landmark" },
+//     { "voice": 7, "anchor": "listener", "bearing": -90 }
+//   ]
+// }
+//
+// mode      - 'off' sums every voice to mono (the original sound, and the
+//             default), 'stereo' pans left/right, 'binaural' uses HRTF
+//             panning for headphones
+// landmark  - coordinates for the 'landmark' anchor (optional)
+// voice     - oscillator index or array of indices
+// anchor    - what the voice is pinned to:
+//             'north'    a compass bearing (the default)
+//             'sun'      the sun's azimuth and elevation
+//             'moon'     the moon's azimuth and elevation
+//             'landmark' the bearing from the listener to the landmark (an entry
+//                        may give its own latitude/longitude instead)
+//             'listener' the listener's head: 0 is always straight ahead
+// bearing   - degrees clockwise: the compass bearing for 'north', an offset
+//             from the anchor for the rest (default 0)
+// elevation - degrees above the horizon (default 0; sun and moon use their own)
+//
+// Voices the layout doesn't list are spread evenly around the compass.
+// Everything but 'listener' is fixed to the world, so turning your body turns
+// the sound field.
+
+const SPATIAL_MODES = ['off', 'stereo', 'binaural'];
+const SPATIAL_ANCHORS = ['north', 'sun', 'moon', 'landmark', 'listener'];
+
+const DEFAULT_SPATIAL_LAYOUT = {
+    name: 'Around the compass',
+    mode: 'off',
+    landmark: null,
+    voices: []
+};
+
+function cloneSpatialLayout(layout) {
+    return JSON.parse(JSON.stringify(layout));
+}
+
+function validateSpatialLayout(layout) {
+    if (!layout || typeof layout !== 'object') {
+        throw new Error('Spatial layout must be an object');
+    }
+    if (layout.mode !== undefined && !SPATIAL_MODES.includes(layout.mode)) {
+        throw new Error(`Unknown spatial mode "${layout.mode}"`);
+    }
+    if (layout.landmark && !isCoordinate(layout.landmark)) {
+        throw new Error('"landmark" needs a numeric latitude and longitude');
+    }
+    if (layout.voices !== undefined && !Array.isArray(layout.voices)) {
+        throw new Error('"voices" must be an array');
+    }
+    
+    layout.mode = layout.mode || 'off';
+    layout.landmark = layout.landmark || null;
+    layout.voices = layout.voices || [];
+    
+    layout.voices.forEach((entry, i) => {
+        const where = `Voice entry ${i + 1}`;
+        const voices = [].concat(entry.voice);
+        
+        if (entry.voice === undefined || !voices.every(voice => Number.isInteger(voice) && voice >= 0)) {
+            throw new Error(`${where}: "voice" must be an oscillator index or array of indices`);
+        }
+        if (entry.anchor !== undefined && !SPATIAL_ANCHORS.includes(entry.anchor)) {
+            throw new Error(`${where}: unknown anchor "${entry.anchor}"`);
+        }
+        ['bearing', 'elevation'].forEach(field => {
+            if (entry[field] !== undefined && (typeof entry[field] !== 'number' || !isFinite(entry[field]))) {
+                throw new Error(`${where}: "${field}" must be a number of degrees`);
+            }
+        });
+        if (entry.anchor === 'landmark' && !isCoordinate(entry) && !layout.landmark) {
+            throw new Error(`${where}: the landmark anchor needs a latitude and longitude`);
+        }
+    });
+    
+    return layout;
+}
+
+function isCoordinate(place) {
+    return typeof place.latitude === 'number' && isFinite(place.latitude) &&
+           typeof place.longitude === 'number' && isFinite(place.longitude);
+}
+
+// The layout entry for one voice (the last one listing it wins)
+function findSpatialEntry(layout, voice) {
+    let found = null;
+    layout.voices.forEach(entry => {
+        if ([].concat(entry.voice).includes(voice)) found = entry;
+    });
+    return found;
+}
+
+// Direction of each of `voiceCount` voices relative to the listener's head.
+// `listener` has heading, latitude, longitude, sunAzimuth, sunElevation,
+// moonAzimuth and moonElevation, all in degrees.
+// Returns [{ azimuth, elevation }]: azimuth clockwise from straight ahead.
+function evaluateSpatialLayout(layout, voiceCount, listener) {
+    return Array.from({ length: voiceCount }, (v, voice) => {
+        const entry = findSpatialEntry(layout, voice);
+        
+        if (!entry) {
+            return {
+                azimuth: voice * 360 / voiceCount - listener.heading,
+                elevation: 0
+            };
+        }
+        
+        const offset = entry.bearing || 0;
+        let bearing = offset;
+        let elevation = entry.elevation || 0;
+        
+        switch (entry.anchor) {
+            case 'sun':
+                bearing = listener.sunAzimuth + offset;
+                elevation = listener.sunElevation;
+                break;
+            case 'moon':
+                bearing = listener.moonAzimuth + offset;
+                elevation = listener.moonElevation;
+                break;
+            case 'landmark': {
+                const place = isCoordinate(entry) ? entry : layout.landmark;
+                bearing = initialBearing(listener.latitude, listener.longitude, place.latitude, place.longitude) + offset;
+                break;
+            }
+            case 'listener':
+                return { azimuth: offset, elevation };
+        }
+        
+        return { azimuth: bearing - listener.heading, elevation };
+    });
+}
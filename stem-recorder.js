@@ -0,0 +1,344 @@
+// Multitrack stem recording of the live performance
+//
+// StemRecorder taps the running engine and keeps each part as its own WAV
+// file, for mixing the take again elsewhere:
+//
+// - master       - the finished stereo mix (masterGain), before the master bus
+// - voice-N-role - each voice after its pulse envelope, mono (gainNodes):
+//                  before its level, filters, panning and reverb
+// - reverb       - the stereo reverb return (see reverb.js)
+//
+// The samples are captured by an AudioWorklet on the audio thread and handed
+// to the page in chunks, which are encoded (24-bit PCM or 32-bit float) as
+// they arrive. The page's own timers don't take part, so a locked screen or
+// a background tab loses nothing as long as the audio itself plays on.
+//
+// A sidecar session file (see session.js) of the environmental data goes
+// with the stems, timed on the audio clock: time 0 is the first sample of
+// every stem. It can be replayed or rendered like any other session.
+//
+// Everything is held in memory until downloaded: about 8.6 MB a minute for
+// each mono track at 48 kHz and 24 bits, so about 100 MB a minute for the
+// default eight voices plus master and reverb. A browser closes a tab that
+// holds too much long before the ZIP's 4 GB limit, so recording stops by
+// itself at a budget set from the device's memory (stemMemoryBudget()):
+// 500 MB, about 5 minutes at the defaults, where the browser doesn't say.
+// Each track's CRC for the ZIP is worked out as its samples arrive, so the
+// download doesn't go over gigabytes at once.
+
+const STEM_PROCESSOR = 'environmental-sines-stems';
+const STEM_CHUNK_FRAMES = 16384; // ~0.34 s at 48 kHz per hand-over to the page
+const STEM_STOP_TIMEOUT = 2000; // ms to wait for the last samples
+const STEM_MAX_BYTES = 4e9; // of WAV data, leaving room below ZIP_MAX_OFFSET for headers and the sidecar
+const STEM_MEMORY_SHARE = 1 / 8; // of the device's memory (navigator.deviceMemory) the stems may hold
+const STEM_DEFAULT_BUDGET = 500e6; // bytes, where the browser doesn't report its memory
+
+// Bytes of stems a tab can hold without the browser closing it: a share of
+// the device's memory (which browsers round down and report up to 8 GB)
+function stemMemoryBudget() {
+    const gigabytes = typeof navigator !== 'undefined' ? navigator.deviceMemory : undefined;
+    const budget = gigabytes ? gigabytes * 1e9 * STEM_MEMORY_SHARE : STEM_DEFAULT_BUDGET;
+    return Math.min(STEM_MAX_BYTES, budget);
+}
+
+// Loaded from a Blob URL so it works from file:// too
+const STEM_WORKLET_SOURCE = `
+class StemRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.channels = options.processorOptions.channels; // per input
+        this.chunkFrames = options.processorOptions.chunkFrames;
+        this.recording = false;
+        this.stopped = false;
+        this.startFrame = null;
+        this.clear();
+        
+        // Handled here rather than in process(), which a suspended
+        // context no longer calls
+        this.port.onmessage = event => {
+            if (event.data === 'start') {
+                this.recording = true;
+            } else if (event.data === 'stop') {
+                this.recording = false;
+                this.stopped = true;
+                this.flush();
+                this.port.postMessage({ done: true });
+            }
+        };
+    }
+    
+    clear() {
+        this.buffers = this.channels.map(count =>
+            Array.from({ length: count }, () => new Float32Array(this.chunkFrames)));
+        this.filled = 0;
+    }
+    
+    // Hands the samples so far over to the page
+    flush() {
+        if (this.filled === 0) return;
+        
+        const tracks = this.buffers.map(channels => channels.map(data => data.subarray(0, this.filled)));
+        const transfer = [];
+        this.buffers.forEach(channels => channels.forEach(data => transfer.push(data.buffer)));
+        this.port.postMessage({ startFrame: this.startFrame, tracks }, transfer);
+        this.clear();
+    }
+    
+    process(inputs) {
+        if (!this.recording) return !this.stopped;
+        if (this.startFrame === null) this.startFrame = currentFrame;
+        
+        const connected = inputs.find(input => input.length);
+        const frames = connected ? connected[0].length : 128;
+        if (this.filled + frames > this.chunkFrames) this.flush();
+        
+        // An input with nothing playing into it has no channels: silence
+        this.buffers.forEach((channels, t) => {
+            const input = inputs[t];
+            channels.forEach((data, c) => {
+                const samples = input[c] || input[0];
+                if (samples) data.set(samples, this.filled);
+            });
+        });
+        this.filled += frames;
+        
+        return true;
+    }
+}
+
+registerProcessor('${STEM_PROCESSOR}', StemRecorderProcessor);
+`;
+
+class StemRecorder {
+    constructor() {
+        this.audioContext = null;
+        this.workletContext = null; // the context the processor is loaded into
+        this.node = null;
+        this.taps = []; // the engine node feeding each of the node's inputs
+        this.tracks = []; // [{ name, channels, chunks, frames, crc }]
+        this.bitDepth = 24;
+        this.sampleRate = 0;
+        this.startFrame = null; // audio frame of the first recorded sample
+        this.isRecording = false;
+        this.maxBytes = 0; // stemMemoryBudget() when recording started
+        this.isFull = false; // stopped taking samples at maxBytes
+        this.onDone = null;
+        this.onFull = null; // called once the stems reach maxBytes; stop() then
+        
+        this.session = new SessionRecorder(() => this.audioContext ? this.audioContext.currentTime * 1000 : 0);
+    }
+    
+    static isSupported() {
+        return typeof AudioWorkletNode !== 'undefined';
+    }
+    
+    // Seconds recorded so far
+    get duration() {
+        return this.tracks.length ? this.tracks[0].frames / this.sampleRate : 0;
+    }
+    
+    // Bytes of WAV data held
+    get byteLength() {
+        return this.tracks.reduce((sum, track) => sum + track.frames * track.channels * this.bitDepth / 8, 0);
+    }
+    
+    // Seconds left before maxBytes
+    get remaining() {
+        const channels = this.tracks.reduce((sum, track) => sum + track.channels, 0);
+        const bytesPerSecond = this.sampleRate * channels * this.bitDepth / 8;
+        return bytesPerSecond ? Math.max(0, this.maxBytes - this.byteLength) / bytesPerSecond : 0;
+    }
+    
+    // Starts recording the running `engine`; options: { bitDepth: 24 | 32 }
+    async start(engine, options = {}) {
+        if (this.isRecording) return;
+        if (!engine.isRunning || engine.isOffline) {
+            throw new Error('Start the audio before recording stems');
+        }
+        
+        const bitDepth = options.bitDepth || 24;
+        if (bitDepth !== 24 && bitDepth !== 32) {
+            throw new Error(`Stems are 24-bit or 32-bit float, not ${bitDepth}`);
+        }
+        
+        const ctx = engine.audioContext;
+        if (this.workletContext !== ctx) {
+            const url = URL.createObjectURL(new Blob([STEM_WORKLET_SOURCE], { type: 'application/javascript' }));
+            try {
+                await ctx.audioWorklet.addModule(url);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+            this.workletContext = ctx;
+        }
+        
+        const voices = engine.voiceLayout.map((voice, i) => ({
+            name: `voice-${String(i + 1).padStart(2, '0')}-${voice.role}`,
+            channels: 1
+        }));
+        this.tracks = [{ name: 'master', channels: 2 }, ...voices, { name: 'reverb', channels: 2 }]
+            .map(track => ({ ...track, chunks: [], frames: 0, crc: 0 }));
+        
+        this.node = new AudioWorkletNode(ctx, STEM_PROCESSOR, {
+            numberOfInputs: this.tracks.length,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit',
+            processorOptions: {
+                channels: this.tracks.map(track => track.channels),
+                chunkFrames: STEM_CHUNK_FRAMES
+            }
+        });
+        this.node.port.onmessage = event => this.receive(event.data);
+        
+        // The output stays silent; it's connected so every browser keeps
+        // running the node
+        this.node.connect(ctx.destination);
+        
+        this.audioContext = ctx;
+        this.sampleRate = ctx.sampleRate;
+        this.bitDepth = bitDepth;
+        this.startFrame = null;
+        this.maxBytes = stemMemoryBudget();
+        this.isFull = false;
+        this.tap(engine);
+        
+        this.session.start();
+        this.session.seed = engine.activeSeed;
+        this.node.port.postMessage('start');
+        this.isRecording = true;
+    }
+    
+    tap(engine) {
+        const voiceTracks = this.tracks.length - 2;
+        this.taps = [
+            engine.masterGain,
+            ...Array.from({ length: voiceTracks }, (value, i) => engine.gainNodes[i] || null),
+            engine.reverb.output
+        ];
+        this.taps.forEach((node, input) => {
+            if (node) node.connect(this.node, 0, input);
+        });
+    }
+    
+    untap() {
+        this.taps.forEach((node, input) => {
+            if (!node) return;
+            try {
+                node.disconnect(this.node, 0, input);
+            } catch (error) {
+                // Already gone with its voice
+            }
+        });
+        this.taps = [];
+    }
+    
+    // After the engine rebuilt its voices (a patch with other groups): the
+    // voice stems carry on from the new voices, as many as there are stems
+    retap(engine) {
+        if (!this.isRecording) return;
+        
+        const voices = this.taps.slice(1, -1);
+        if (voices.every((node, i) => node === (engine.gainNodes[i] || null))) return;
+        
+        this.untap();
+        this.tap(engine);
+    }
+    
+    // The environmental data at this moment, for the sidecar
+    record(data) {
+        if (this.isRecording) this.session.record(data);
+    }
+    
+    receive(message) {
+        if (this.startFrame === null && message.startFrame !== undefined) {
+            this.startFrame = message.startFrame;
+        }
+        
+        if (message.tracks && !this.isFull) {
+            // All or nothing, so the stems stay the same length
+            const bytes = message.tracks.reduce((sum, channels, t) =>
+                sum + channels[0].length * this.tracks[t].channels * this.bitDepth / 8, 0);
+            if (this.byteLength + bytes > this.maxBytes) {
+                this.isFull = true;
+                if (this.onFull) this.onFull();
+            }
+        }
+        
+        if (message.tracks && !this.isFull) {
+            message.tracks.forEach((channels, t) => {
+                const track = this.tracks[t];
+                const buffer = new ArrayBuffer(channels[0].length * track.channels * this.bitDepth / 8);
+                writeWAVData(new DataView(buffer), 0, channels, this.bitDepth);
+                track.chunks.push(buffer);
+                track.frames += channels[0].length;
+                track.crc = crc32([buffer], track.crc);
+            });
+        }
+        
+        if (message.done && this.onDone) this.onDone();
+    }
+    
+    // Resolves once the last samples are in; call before the engine stops
+    async stop() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        this.session.stop();
+        
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, STEM_STOP_TIMEOUT);
+            this.onDone = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            this.node.port.postMessage('stop');
+        });
+        
+        this.onDone = null;
+        this.untap();
+        this.node.disconnect();
+        this.node.port.onmessage = null;
+        this.node = null;
+        this.audioContext = null;
+    }
+    
+    // The environmental data as a session whose time 0 is the stems' first
+    // sample, plus what the stems are
+    getSidecar() {
+        const session = this.session.toJSON();
+        
+        // Events were timed from start(); the worklet's first sample came a
+        // moment later. What happened before it all holds at time 0.
+        const offset = this.startFrame !== null
+            ? this.startFrame / this.sampleRate - this.session.startTime / 1000
+            : 0;
+        const events = session.events.map(event => ({ time: Math.max(0, event.time - offset), data: event.data }));
+        const atStart = events.filter(event => event.time === 0).pop();
+        session.events = (atStart ? [atStart] : []).concat(events.filter(event => event.time > 0));
+        
+        session.duration = this.duration;
+        session.sampleRate = this.sampleRate;
+        session.bitDepth = this.bitDepth;
+        session.stems = this.tracks.map(track => ({ file: `${track.name}.wav`, channels: track.channels }));
+        return session;
+    }
+    
+    // Every stem and the sidecar (session.json) as one ZIP
+    toBlob() {
+        const files = this.tracks.map(track => {
+            const header = new ArrayBuffer(wavHeaderSize(this.bitDepth));
+            const dataSize = track.frames * track.channels * this.bitDepth / 8;
+            writeWAVHeader(new DataView(header), track.channels, this.sampleRate, this.bitDepth, dataSize);
+            return {
+                name: `${track.name}.wav`,
+                parts: [header, ...track.chunks],
+                crc: crc32Combine(crc32([header]), track.crc, dataSize)
+            };
+        });
+        
+        const json = JSON.stringify(this.getSidecar(), null, 2);
+        files.push({ name: 'session.json', parts: [new TextEncoder().encode(json)] });
+        
+        return createZip(files, this.session.startedAt);
+    }
+}
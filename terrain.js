@@ -0,0 +1,129 @@
+// Offline terrain: ground elevation from DEM tiles
+//
+// When the device reports no altitude (many browsers don't), the location
+// filter looks the position up here instead. Tiles come from:
+//
+// - SRTM .hgt files (1 or 3 arc-second, e.g. N51W001.hgt), the format most
+//   free DEM downloads use
+// - JSON tiles, like the bundled dem-sample.json:
+//
+// {
+//   "format": "environmental-sines-terrain",
+//   "description": "...",
+//   "south": 40.70, "west": -74.01, "north": 40.72, "east": -73.99,
+//   "rows": 21, "columns": 21,
+//   "elevations": [12, 14, ...]   // meters, row by row from the north-west corner
+// }
+//
+// Missing samples are null (-32768 in .hgt files, which are kept as the
+// Int16Array they're stored in: an SRTM1 tile has nearly 13 million samples).
+
+const TERRAIN_FORMAT = 'environmental-sines-terrain';
+const HGT_VOID = -32768;
+
+class TerrainTile {
+    constructor({ south, west, north, east, rows, columns, elevations, description }) {
+        if (!(north > south) || !(east > west)) throw new Error('Terrain tile has no area');
+        if (!(rows >= 2) || !(columns >= 2) || elevations.length !== rows * columns) {
+            throw new Error('Terrain tile size does not match its elevations');
+        }
+        
+        this.south = south;
+        this.west = west;
+        this.north = north;
+        this.east = east;
+        this.rows = rows;
+        this.columns = columns;
+        this.elevations = elevations;
+        this.description = description || '';
+    }
+    
+    contains(latitude, longitude) {
+        return latitude >= this.south && latitude <= this.north &&
+               longitude >= this.west && longitude <= this.east;
+    }
+    
+    // Bilinear between the four surrounding samples; null outside or on a void
+    elevationAt(latitude, longitude) {
+        if (!this.contains(latitude, longitude)) return null;
+        
+        const y = (this.north - latitude) / (this.north - this.south) * (this.rows - 1);
+        const x = (longitude - this.west) / (this.east - this.west) * (this.columns - 1);
+        const row = Math.min(Math.floor(y), this.rows - 2);
+        const column = Math.min(Math.floor(x), this.columns - 2);
+        const fy = y - row;
+        const fx = x - column;
+        
+        const sample = (r, c) => this.elevations[r * this.columns + c];
+        const corners = [sample(row, column), sample(row, column + 1), sample(row + 1, column), sample(row + 1, column + 1)];
+        if (corners.some(value => value === null || value === HGT_VOID)) return null;
+        
+        const top = corners[0] + (corners[1] - corners[0]) * fx;
+        const bottom = corners[2] + (corners[3] - corners[2]) * fx;
+        return top + (bottom - top) * fy;
+    }
+}
+
+// Any number of tiles; where they overlap, the last one added answers
+class TerrainModel {
+    constructor() {
+        this.tiles = [];
+    }
+    
+    add(tile) {
+        this.tiles.unshift(tile);
+    }
+    
+    elevationAt(latitude, longitude) {
+        for (const tile of this.tiles) {
+            const elevation = tile.elevationAt(latitude, longitude);
+            if (elevation !== null) return elevation;
+        }
+        return null;
+    }
+}
+
+function parseTerrainJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.format !== TERRAIN_FORMAT) {
+        throw new Error('Not an Environmental Sines terrain tile');
+    }
+    if (!Array.isArray(data.elevations)) {
+        throw new Error('Terrain tile has no elevations');
+    }
+    
+    return new TerrainTile({
+        ...data,
+        elevations: data.elevations.map(value => typeof value === 'number' ? value : null)
+    });
+}
+
+// SRTM .hgt: a square grid of big-endian 16-bit meters, rows north to south,
+// covering the 1° cell whose south-west corner is in the file name
+function parseHgt(buffer, filename) {
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(filename);
+    if (!match) throw new Error('Name the .hgt file like N51W001.hgt');
+    
+    const size = Math.sqrt(buffer.byteLength / 2);
+    if (!Number.isInteger(size) || size < 2) throw new Error('Not an SRTM .hgt file');
+    
+    const south = Number(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const west = Number(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+    
+    const view = new DataView(buffer);
+    const elevations = new Int16Array(size * size);
+    for (let i = 0; i < elevations.length; i++) {
+        elevations[i] = view.getInt16(i * 2, false);
+    }
+    
+    return new TerrainTile({
+        south,
+        west,
+        north: south + 1,
+        east: west + 1,
+        rows: size,
+        columns: size,
+        elevations,
+        description: filename
+    });
+}
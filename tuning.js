@@ -0,0 +1,235 @@
+// Tuning systems and scale quantization
+//
+// With quantization on, the engine snaps the fundamental and every chord tone
+// to the nearest pitch of the chosen tuning and scale, then glides there.
+//
+// Tuning settings (audioEngine.setTuning()):
+//
+// {
+//   system: 'off',        // 'off' (continuous, the original behavior), '12-tet',
+//                         // 'just', 'pythagorean' or 'scala'
+//   root: 'A',            // tonic note name (ignored when a .kbm sets the reference)
+//   scale: 'chromatic',   // key of SCALES; applies to 12-note tunings
+//   glide: 0.5,           // seconds to slide to a new pitch
+//   scala: null,          // parseScala() result, for system 'scala'
+//   keyboardMapping: null // parseKeyboardMapping() result, optional with 'scala'
+// }
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Built-in tunings: cents of each degree of the octave, from the root
+const TUNINGS = {
+    '12-tet': {
+        name: '12-tone equal temperament',
+        cents: NOTE_NAMES.map((name, i) => i * 100)
+    },
+    just: {
+        name: '5-limit just intonation',
+        cents: ratiosToCents([1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8])
+    },
+    pythagorean: {
+        name: 'Pythagorean',
+        cents: ratiosToCents([1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128])
+    }
+};
+
+// Scale degrees (semitones from the root) for 12-note tunings
+const SCALES = {
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],
+    pentatonicMajor: [0, 2, 4, 7, 9],
+    pentatonicMinor: [0, 3, 5, 7, 10],
+    wholeTone: [0, 2, 4, 6, 8, 10]
+};
+
+const DEFAULT_TUNING = {
+    system: 'off',
+    root: 'A',
+    scale: 'chromatic',
+    glide: 0.5,
+    scala: null,
+    keyboardMapping: null
+};
+
+function ratiosToCents(ratios) {
+    return ratios.map(ratio => 1200 * Math.log2(ratio));
+}
+
+// Frequency of a note name in octave 4 (A4 = 440Hz)
+function noteFrequency(name) {
+    const index = NOTE_NAMES.indexOf(name);
+    if (index < 0) throw new Error(`Unknown root note "${name}"`);
+    return 440 * Math.pow(2, (index - 9) / 12);
+}
+
+// Scala scale file (.scl): https://www.huygens-fokker.org/scala/scl_format.html
+// Returns { description, cents } where cents lists degrees 1..n and the last
+// entry is the period (usually the octave, 1200).
+function parseScala(text) {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) throw new Error('Not a Scala file');
+    
+    const description = lines[0].trim();
+    const count = parseInt(lines[1], 10);
+    if (!(count > 0)) throw new Error('Scala file has no notes');
+    
+    const cents = [];
+    for (let i = 2; i < lines.length && cents.length < count; i++) {
+        const value = lines[i].trim().split(/\s+/)[0];
+        if (!value) continue;
+        cents.push(parsePitch(value));
+    }
+    
+    if (cents.length < count) throw new Error(`Scala file lists ${cents.length} of ${count} notes`);
+    if (!(cents[count - 1] > 0)) throw new Error('Scala period must be above the root');
+    
+    return { description, cents };
+}
+
+// A Scala pitch: cents if it has a period, otherwise a ratio or whole number
+function parsePitch(value) {
+    let cents;
+    if (value.includes('.')) {
+        cents = parseFloat(value);
+    } else {
+        const [numerator, denominator = '1'] = value.split('/');
+        cents = 1200 * Math.log2(parseInt(numerator, 10) / parseInt(denominator, 10));
+    }
+    
+    if (!isFinite(cents)) throw new Error(`Invalid pitch "${value}"`);
+    return cents;
+}
+
+// Scala keyboard mapping (.kbm): https://www.huygens-fokker.org/scala/help.htm#mappings
+// Only the parts that matter for continuous pitches are kept: which scale
+// degrees are in use and the reference pitch.
+function parseKeyboardMapping(text) {
+    const values = text.split(/\r?\n/)
+        .filter(line => !line.startsWith('!'))
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(value => value);
+    if (values.length < 7) throw new Error('Not a keyboard mapping file');
+    
+    const size = parseInt(values[0], 10);
+    const mapping = values.slice(7, 7 + size).map(value => value === 'x' ? null : parseInt(value, 10));
+    while (mapping.length < size) mapping.push(null); // missing entries are unmapped
+    
+    const result = {
+        size,
+        middleNote: parseInt(values[3], 10),
+        referenceNote: parseInt(values[4], 10),
+        referenceFrequency: parseFloat(values[5]),
+        octaveDegree: parseInt(values[6], 10),
+        mapping
+    };
+    
+    if (!(result.referenceFrequency > 0)) throw new Error('Keyboard mapping needs a reference frequency');
+    return result;
+}
+
+// Snaps frequencies to a tuning and scale
+class Tuning {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_TUNING, ...settings };
+        this.glide = Math.max(0, Number(this.settings.glide) || 0);
+        this.isQuantized = this.settings.system !== 'off';
+        
+        if (this.isQuantized) {
+            this.build();
+            
+            // Fold every pitch into one period
+            this.pitches = this.pitches.map(pitch => ((pitch % this.period) + this.period) % this.period);
+        }
+    }
+    
+    build() {
+        const { system, root, scale } = this.settings;
+        
+        if (system === 'scala') {
+            this.buildScala();
+            return;
+        }
+        
+        const tuning = TUNINGS[system];
+        if (!tuning) throw new Error(`Unknown tuning "${system}"`);
+        if (!SCALES[scale]) throw new Error(`Unknown scale "${scale}"`);
+        
+        this.period = 1200;
+        this.rootFrequency = noteFrequency(root);
+        this.pitches = SCALES[scale].map(degree => tuning.cents[degree]);
+    }
+    
+    buildScala() {
+        const { scala, keyboardMapping, root, scale } = this.settings;
+        if (!scala) throw new Error('Load a Scala .scl file first');
+        
+        // Degree 0 is the root; the last listed pitch is the period
+        const cents = [0, ...scala.cents.slice(0, -1)];
+        this.period = scala.cents[scala.cents.length - 1];
+        
+        const degreeCents = degree => {
+            const octave = Math.floor(degree / cents.length);
+            return cents[degree - octave * cents.length] + octave * this.period;
+        };
+        
+        if (keyboardMapping) {
+            this.buildKeyboardMapping(keyboardMapping, degreeCents);
+        } else {
+            this.rootFrequency = noteFrequency(root);
+            
+            // A 12-note .scl can still use the named scales
+            const degrees = cents.length === 12 ? SCALES[scale] || SCALES.chromatic : cents.map((c, i) => i);
+            this.pitches = degrees.map(degreeCents);
+        }
+    }
+    
+    buildKeyboardMapping(kbm, degreeCents) {
+        // Mapped degrees are the scale; an empty mapping uses every degree
+        const mapped = kbm.size > 0
+            ? kbm.mapping.filter(degree => degree !== null)
+            : null;
+        const degrees = mapped && mapped.length > 0 ? mapped : this.settings.scala.cents.map((c, i) => i);
+        
+        // The formal octave of the mapping replaces the scale's period
+        const period = kbm.octaveDegree > 0 ? degreeCents(kbm.octaveDegree) : this.period;
+        
+        // The reference key sounds at referenceFrequency; work back to degree 0
+        const offset = kbm.referenceNote - kbm.middleNote;
+        let referenceCents = degreeCents(offset);
+        if (kbm.size > 0) {
+            const octave = Math.floor(offset / kbm.size);
+            const degree = kbm.mapping[offset - octave * kbm.size];
+            if (degree === null) throw new Error('Keyboard mapping reference key is unmapped');
+            referenceCents = degreeCents(degree) + octave * period;
+        }
+        
+        this.pitches = degrees.map(degreeCents);
+        this.rootFrequency = kbm.referenceFrequency / Math.pow(2, referenceCents / 1200);
+        this.period = period;
+    }
+    
+    // Nearest allowed frequency (or the input unchanged when not quantizing)
+    quantize(frequency) {
+        if (!this.isQuantized || !(frequency > 0)) return frequency;
+        
+        const cents = 1200 * Math.log2(frequency / this.rootFrequency);
+        const octave = Math.floor(cents / this.period);
+        
+        // Check this period and its neighbors, since the nearest pitch may be across the boundary
+        let best = null;
+        for (let o = octave - 1; o <= octave + 1; o++) {
+            this.pitches.forEach(pitch => {
+                const candidate = pitch + o * this.period;
+                if (best === null || Math.abs(candidate - cents) < Math.abs(best - cents)) {
+                    best = candidate;
+                }
+            });
+        }
+        
+        return this.rootFrequency * Math.pow(2, best / 1200);
+    }
+}
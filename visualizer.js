@@ -0,0 +1,419 @@
+// Canvas display of what the engine is playing
+//
+// Three views:
+//
+// spectrum - the mix's spectrum (an AnalyserNode on masterGain) on a log
+//            frequency axis, its waveform behind, and a tick at each voice's
+//            pitch that lights up while the voice sounds
+// voices   - a lane per voice scrolling through the last few seconds: its
+//            pulse envelope filled in, its pitch as a line, and its role and
+//            current frequency
+// map      - the way travelled, each stretch coloured by the compass chord
+//            playing there (a colour per anchor of the chord map, blended in
+//            between), over any imported route
+//
+// It's drawn at most VISUALIZER_FPS times a second, only while the canvas is
+// on screen, and reads the analyser into arrays allocated once, so it leaves
+// the audio alone on a phone.
+
+const VISUALIZER_VIEWS = ['spectrum', 'voices', 'map', 'off'];
+const VISUALIZER_FPS = 30;
+const VISUALIZER_HISTORY = 4; // seconds shown in the voices view
+const VISUALIZER_FREQUENCY_RANGE = [20, 20000]; // Hz across the spectrum view
+const VISUALIZER_TRAIL_LENGTH = 5000; // positions kept for the map
+const VISUALIZER_TRAIL_SPACING = 2; // meters between positions kept
+
+const VISUALIZER_COLORS = {
+    background: '#000',
+    grid: '#222',
+    text: '#888',
+    waveform: '#333',
+    spectrum: '#0a0',
+    envelope: 'rgba(0, 170, 0, 0.6)',
+    pitch: '#0f0',
+    route: '#333',
+    position: '#fff'
+};
+
+class Visualizer {
+    constructor(canvas, engine) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.engine = engine;
+        this.view = 'spectrum';
+        this.isRunning = false;
+        this.isVisible = true;
+        this.frameRequest = null;
+        this.lastFrame = 0;
+        this.width = 0; // CSS pixels
+        this.height = 0;
+        
+        // Analyser readings, sized for the analyser in use
+        this.analyser = null;
+        this.frequencyData = null;
+        this.timeData = null;
+        this.binColumns = []; // [{ x, from, to }]: the bins under each column
+        
+        // Voices view: the last VISUALIZER_HISTORY of each voice, a column a frame
+        this.levelHistory = [];
+        this.pitchHistory = [];
+        this.historyIndex = 0;
+        
+        // Map view
+        this.trail = []; // [{ latitude, longitude, color }]
+        this.route = null; // { points } from route-import.js
+        this.mapChanged = true; // since the map was last drawn
+        
+        if (typeof IntersectionObserver !== 'undefined') {
+            new IntersectionObserver(entries => {
+                this.isVisible = entries[entries.length - 1].isIntersecting;
+            }).observe(canvas);
+        }
+    }
+    
+    setView(view) {
+        if (!VISUALIZER_VIEWS.includes(view)) {
+            throw new Error(`Unknown visualizer view "${view}"`);
+        }
+        this.view = view;
+        this.canvas.hidden = view === 'off';
+        this.resize();
+        this.draw();
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.resize();
+        this.frameRequest = requestAnimationFrame(time => this.frame(time));
+    }
+    
+    stop() {
+        this.isRunning = false;
+        if (this.frameRequest !== null) cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.analyser = null;
+        this.draw();
+    }
+    
+    // Matches the canvas to its size on screen, at up to twice the pixels
+    // on high-density displays
+    resize() {
+        // Hidden (the 'off' view), it keeps its last size
+        if (!this.canvas.clientWidth) return;
+        
+        const ratio = Math.min(2, window.devicePixelRatio || 1);
+        this.width = this.canvas.clientWidth;
+        this.height = this.canvas.clientHeight;
+        this.canvas.width = Math.round(this.width * ratio);
+        this.canvas.height = Math.round(this.height * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        
+        this.binColumns = [];
+        this.levelHistory = [];
+        this.pitchHistory = [];
+        this.historyIndex = 0;
+        this.mapChanged = true;
+    }
+    
+    frame(time) {
+        this.frameRequest = requestAnimationFrame(next => this.frame(next));
+        if (time - this.lastFrame < 1000 / VISUALIZER_FPS - 1) return;
+        this.lastFrame = time;
+        
+        // The map only moves with a new position
+        if (this.view === 'map' && !this.mapChanged) return;
+        if (this.isVisible && this.view !== 'off') this.draw();
+    }
+    
+    draw() {
+        const ctx = this.context;
+        ctx.fillStyle = VISUALIZER_COLORS.background;
+        ctx.fillRect(0, 0, this.width, this.height);
+        
+        if (this.view === 'map') {
+            this.drawMap();
+        } else if (!this.isRunning || !this.engine.isRunning || !this.engine.analyser) {
+            this.drawMessage('Start the audio to see it');
+        } else if (this.view === 'spectrum') {
+            this.drawSpectrum();
+        } else if (this.view === 'voices') {
+            this.drawVoices();
+        }
+    }
+    
+    drawMessage(text) {
+        const ctx = this.context;
+        ctx.fillStyle = VISUALIZER_COLORS.text;
+        ctx.font = '12px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, this.width / 2, this.height / 2);
+    }
+    
+    // Spectrum
+    
+    // Log-frequency x position (CSS pixels) of `frequency`
+    frequencyX(frequency) {
+        const [low, high] = VISUALIZER_FREQUENCY_RANGE;
+        return this.width * Math.log(frequency / low) / Math.log(high / low);
+    }
+    
+    readAnalyser() {
+        const analyser = this.engine.analyser;
+        if (analyser !== this.analyser) {
+            this.analyser = analyser;
+            this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+            this.timeData = new Uint8Array(analyser.fftSize);
+            this.binColumns = [];
+        }
+        analyser.getByteFrequencyData(this.frequencyData);
+        analyser.getByteTimeDomainData(this.timeData);
+        
+        // Which bins fall under each 2-pixel column; low down a bin spans
+        // several columns, high up a column several bins
+        if (!this.binColumns.length) {
+            const binWidth = this.engine.audioContext.sampleRate / analyser.fftSize;
+            const bins = this.frequencyData.length;
+            const [low, high] = VISUALIZER_FREQUENCY_RANGE;
+            for (let x = 0; x < this.width; x += 2) {
+                const from = low * Math.pow(high / low, x / this.width) / binWidth;
+                const to = low * Math.pow(high / low, (x + 2) / this.width) / binWidth;
+                const first = Math.min(bins - 1, Math.round(from));
+                this.binColumns.push({ x, from: first, to: Math.min(bins, Math.max(first + 1, Math.round(to))) });
+            }
+        }
+    }
+    
+    drawSpectrum() {
+        const ctx = this.context;
+        const { width, height } = this;
+        this.readAnalyser();
+        
+        // Octave grid, at the A of each octave
+        ctx.strokeStyle = VISUALIZER_COLORS.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let frequency = 27.5; frequency < VISUALIZER_FREQUENCY_RANGE[1]; frequency *= 2) {
+            const x = Math.round(this.frequencyX(frequency)) + 0.5;
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+        ctx.stroke();
+        
+        // Waveform
+        const samples = this.timeData;
+        ctx.strokeStyle = VISUALIZER_COLORS.waveform;
+        ctx.beginPath();
+        for (let x = 0; x < width; x++) {
+            const y = samples[Math.floor(x / width * samples.length)] / 255 * height;
+            if (x === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+        
+        // Spectrum: the loudest bin under each column
+        const bins = this.frequencyData;
+        ctx.fillStyle = VISUALIZER_COLORS.spectrum;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        this.binColumns.forEach(({ x, from, to }) => {
+            let peak = 0;
+            for (let i = from; i < to; i++) peak = Math.max(peak, bins[i]);
+            ctx.lineTo(x, height - peak / 255 * height);
+        });
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fill();
+        
+        // Each voice's pitch, brighter while it sounds
+        this.engine.getVoiceActivity().forEach(voice => {
+            if (!voice.frequency) return;
+            ctx.fillStyle = VISUALIZER_COLORS.pitch;
+            ctx.globalAlpha = 0.2 + 0.8 * voice.level;
+            ctx.fillRect(Math.round(this.frequencyX(voice.frequency)) - 1, height - 6, 2, 6);
+        });
+        ctx.globalAlpha = 1;
+    }
+    
+    // Voices
+    
+    drawVoices() {
+        const ctx = this.context;
+        const { width, height } = this;
+        const voices = this.engine.getVoiceActivity();
+        if (!voices.length) return;
+        
+        // One column per frame over VISUALIZER_HISTORY
+        const columns = VISUALIZER_HISTORY * VISUALIZER_FPS;
+        if (this.levelHistory.length !== voices.length) {
+            this.levelHistory = voices.map(() => new Float32Array(columns));
+            this.pitchHistory = voices.map(() => new Float32Array(columns));
+            this.historyIndex = 0;
+        }
+        
+        const [low, high] = VISUALIZER_FREQUENCY_RANGE;
+        const index = this.historyIndex;
+        voices.forEach((voice, v) => {
+            this.levelHistory[v][index] = voice.level;
+            this.pitchHistory[v][index] = voice.frequency
+                ? Math.log(voice.frequency / low) / Math.log(high / low)
+                : 0;
+        });
+        this.historyIndex = (index + 1) % columns;
+        
+        const laneHeight = height / voices.length;
+        const step = width / (columns - 1);
+        ctx.font = '11px "Courier New", monospace';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        
+        voices.forEach((voice, v) => {
+            const top = v * laneHeight;
+            const bottom = top + laneHeight - 1;
+            const levels = this.levelHistory[v];
+            const pitches = this.pitchHistory[v];
+            
+            // Oldest on the left
+            ctx.fillStyle = VISUALIZER_COLORS.envelope;
+            ctx.beginPath();
+            ctx.moveTo(0, bottom);
+            for (let c = 0; c < columns; c++) {
+                ctx.lineTo(c * step, bottom - levels[(index + 1 + c) % columns] * (laneHeight - 2));
+            }
+            ctx.lineTo(width, bottom);
+            ctx.closePath();
+            ctx.fill();
+            
+            ctx.strokeStyle = VISUALIZER_COLORS.pitch;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let c = 0; c < columns; c++) {
+                const y = bottom - pitches[(index + 1 + c) % columns] * (laneHeight - 2);
+                if (c === 0) ctx.moveTo(0, y);
+                else ctx.lineTo(c * step, y);
+            }
+            ctx.stroke();
+            
+            ctx.strokeStyle = VISUALIZER_COLORS.grid;
+            ctx.beginPath();
+            ctx.moveTo(0, bottom + 0.5);
+            ctx.lineTo(width, bottom + 0.5);
+            ctx.stroke();
+            
+            const pitch = voice.frequency ? `${voice.frequency.toFixed(1)} Hz` : '--';
+            ctx.fillStyle = VISUALIZER_COLORS.text;
+            ctx.fillText(`${voice.role} ${pitch}`, width - 4, top + 2);
+        });
+    }
+    
+    // Map
+    
+    // The chord map colour at `heading`: each anchor its own hue, blended
+    // between anchors as the chords are (switched for 'nearest')
+    chordColor(heading) {
+        const anchors = this.engine.chordMap.anchors;
+        const { fromIndex, toIndex, t } = findChordSegment(anchors, heading);
+        const blend = this.engine.chordMap.interpolation === 'nearest' ? Math.round(t) : t;
+        
+        const hue = index => index / anchors.length * 360;
+        let from = hue(fromIndex);
+        let to = hue(toIndex);
+        if (to < from) to += 360; // the short way round, past the last anchor
+        return `hsl(${Math.round(from + (to - from) * blend) % 360}, 80%, 55%)`;
+    }
+    
+    // A position reached with `heading`; close to the last one, it isn't kept
+    addPosition(latitude, longitude, heading) {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+        
+        const last = this.trail[this.trail.length - 1];
+        if (last && haversineDistance(last.latitude, last.longitude, latitude, longitude) < VISUALIZER_TRAIL_SPACING) {
+            return;
+        }
+        
+        this.trail.push({ latitude, longitude, color: this.chordColor(heading) });
+        if (this.trail.length > VISUALIZER_TRAIL_LENGTH) this.trail.shift();
+        this.mapChanged = true;
+    }
+    
+    setRoute(route) {
+        this.route = route;
+        this.draw();
+    }
+    
+    clearTrail() {
+        this.trail = [];
+        this.draw();
+    }
+    
+    drawMap() {
+        const ctx = this.context;
+        const { width, height } = this;
+        this.mapChanged = false;
+        const routePoints = this.route ? this.route.points : [];
+        if (!routePoints.length && !this.trail.length) {
+            this.drawMessage('No positions yet');
+            return;
+        }
+        
+        // Flat projection around the middle, scaled to fit. The bounds come
+        // from a loop: an imported route can have more points than
+        // Math.max(...) takes arguments.
+        let north = -Infinity;
+        let south = Infinity;
+        let east = -Infinity;
+        let west = Infinity;
+        [routePoints, this.trail].forEach(points => points.forEach(({ latitude, longitude }) => {
+            north = Math.max(north, latitude);
+            south = Math.min(south, latitude);
+            east = Math.max(east, longitude);
+            west = Math.min(west, longitude);
+        }));
+        const stretch = Math.cos(toRadians((north + south) / 2));
+        const padding = 12;
+        const scale = Math.min(
+            (width - 2 * padding) / Math.max((east - west) * stretch, 1e-6),
+            (height - 2 * padding) / Math.max(north - south, 1e-6)
+        );
+        const x = point => width / 2 + (point.longitude - (east + west) / 2) * stretch * scale;
+        const y = point => height / 2 - (point.latitude - (north + south) / 2) * scale;
+        
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        if (routePoints.length) {
+            ctx.strokeStyle = VISUALIZER_COLORS.route;
+            ctx.beginPath();
+            routePoints.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(x(point), y(point));
+                else ctx.lineTo(x(point), y(point));
+            });
+            ctx.stroke();
+        }
+        
+        for (let i = 1; i < this.trail.length; i++) {
+            ctx.strokeStyle = this.trail[i].color;
+            ctx.beginPath();
+            ctx.moveTo(x(this.trail[i - 1]), y(this.trail[i - 1]));
+            ctx.lineTo(x(this.trail[i]), y(this.trail[i]));
+            ctx.stroke();
+        }
+        
+        const here = this.trail[this.trail.length - 1];
+        if (here) {
+            ctx.fillStyle = VISUALIZER_COLORS.position;
+            ctx.beginPath();
+            ctx.arc(x(here), y(here), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        
+        // Key: each anchor's label in its colour
+        ctx.font = '11px "Courier New", monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        this.engine.chordMap.anchors.forEach((anchor, i) => {
+            ctx.fillStyle = this.chordColor(anchor.heading);
+            ctx.fillText(anchor.label || `${Math.round(anchor.heading)}°`, 4 + i * 36, 4);
+        });
+    }
+}
@@ -0,0 +1,144 @@
+// Voice groups: how many oscillators there are and what each one plays
+//
+// A patch's optional "groups" list replaces the original eight voices (a
+// fundamental and seven chord tones) with any number of groups, each with
+// its own voices, level, filter and pulse timing:
+//
+//   "groups": [
+//     { "name": "Sines", "roles": ["fundamental", "chord", "chord", "free", "chord"] },
+//     { "name": "Bed", "roles": [{ "role": "drone", "ratio": 0.5 }, "chord", "chord"],
+//       "gain": 0.5, "lowpass": 1200, "pulseInterval": [8, 20], "pulseDuration": [4, 10],
+//       "interval": "gaussian" }
+//   ]
+//
+// roles          - one entry per voice: a role name, or { "role", "ratio" }
+//   fundamental  - the fundamental, through the patch's lowpass/highpass
+//   chord        - a tone of the compass chord; each group spreads the chord
+//                  over its own chord voices
+//   free         - pitched only by the patch's `frequency` mappings (like the
+//                  default speed voice); follows the fundamental until one applies
+//   drone        - sounds all the time at `ratio` (default 1) times the
+//                  fundamental instead of pulsing
+// gain           - level of the whole group (default 1); the group's voices
+//                  share one budget, so more voices doesn't mean louder
+// lowpass/highpass - fixed cutoffs (Hz) on the whole group
+// pulseInterval, pulseDuration - [min, max] seconds before any mapping
+//                  (default [3, 16] and [1, 6])
+// interval, duration - how pulse timing spreads (see PULSE_DISTRIBUTIONS)
+//
+// Voices are numbered across groups in order: the first group's are 0, 1,
+// 2..., the next group's follow on. Anything in a patch that picks voices
+// (mappings, "voices", "pulses") may name a `group` instead; `voice` then
+// counts from that group's first voice.
+//
+// A mapping with a `frequency` takes any voice out of its role.
+
+const VOICE_ROLES = ['fundamental', 'chord', 'free', 'drone'];
+const MAX_VOICES = 32; // across all groups; each voice is an oscillator and an LFO
+
+// The original ensemble; voice 3 is a chord tone the default patch gives a
+// frequency of its own (the speed voice)
+const DEFAULT_VOICE_GROUPS = [
+    { name: 'Sines', roles: ['fundamental', 'chord', 'chord', 'chord', 'chord', 'chord', 'chord', 'chord'] }
+];
+
+function getVoiceGroups(patch) {
+    return patch.groups || DEFAULT_VOICE_GROUPS;
+}
+
+// Every voice of the patch's groups, in order:
+// [{ index, group, groupName, role, ratio }]
+function getVoiceLayout(patch) {
+    const layout = [];
+    
+    getVoiceGroups(patch).forEach((group, groupIndex) => {
+        group.roles.forEach(entry => {
+            const role = typeof entry === 'string' ? entry : entry.role;
+            layout.push({
+                index: layout.length,
+                group: groupIndex,
+                groupName: group.name || `Group ${groupIndex + 1}`,
+                role,
+                ratio: (typeof entry === 'object' && entry.ratio) || 1
+            });
+        });
+    });
+    
+    return layout;
+}
+
+// Indices of the voices a patch entry picks with `group` and/or `voice`
+// (every voice when it has neither)
+function selectVoices(entry, layout) {
+    let voices = layout;
+    if (entry.group !== undefined) {
+        voices = voices.filter(voice => typeof entry.group === 'number'
+            ? voice.group === entry.group
+            : voice.groupName === entry.group);
+    }
+    
+    if (entry.voice === undefined) return voices.map(voice => voice.index);
+    return [].concat(entry.voice)
+        .filter(i => voices[i])
+        .map(i => voices[i].index);
+}
+
+function validateVoiceGroups(groups) {
+    if (!Array.isArray(groups) || !groups.length) {
+        throw new Error('"groups" must be a list of at least one group');
+    }
+    
+    let count = 0;
+    groups.forEach((group, i) => {
+        const where = `Group ${i + 1}`;
+        
+        if (!Array.isArray(group.roles) || !group.roles.length) {
+            throw new Error(`${where}: "roles" must list at least one voice`);
+        }
+        group.roles.forEach(entry => {
+            const role = typeof entry === 'string' ? entry : entry && entry.role;
+            if (!VOICE_ROLES.includes(role)) {
+                throw new Error(`${where}: unknown role "${role}"`);
+            }
+            if (typeof entry === 'object' && entry.ratio !== undefined && !(entry.ratio > 0)) {
+                throw new Error(`${where}: "ratio" must be above 0`);
+            }
+        });
+        count += group.roles.length;
+        
+        if (group.gain !== undefined && !(group.gain >= 0)) {
+            throw new Error(`${where}: "gain" must be 0 or more`);
+        }
+        ['lowpass', 'highpass'].forEach(key => {
+            if (group[key] !== undefined && !(group[key] > 0)) {
+                throw new Error(`${where}: "${key}" must be a frequency in Hz`);
+            }
+        });
+        ['pulseInterval', 'pulseDuration'].forEach(key => {
+            if (group[key] !== undefined && !isRange(group[key])) {
+                throw new Error(`${where}: "${key}" must be [min, max] seconds`);
+            }
+        });
+        ['interval', 'duration'].forEach(key => {
+            if (group[key] !== undefined && !(group[key] in PULSE_DISTRIBUTIONS)) {
+                throw new Error(`${where}: unknown ${key} distribution "${group[key]}"`);
+            }
+        });
+    });
+    
+    if (count > MAX_VOICES) {
+        throw new Error(`Groups have ${count} voices; the most is ${MAX_VOICES}`);
+    }
+}
+
+// Throws if `entry` names a group the patch doesn't have
+function validateGroupReference(entry, groups, where) {
+    if (entry.group === undefined) return;
+    
+    const found = typeof entry.group === 'number'
+        ? Number.isInteger(entry.group) && entry.group >= 0 && entry.group < groups.length
+        : groups.some((group, i) => (group.name || `Group ${i + 1}`) === entry.group);
+    if (!found) {
+        throw new Error(`${where}: unknown group "${entry.group}"`);
+    }
+}
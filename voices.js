@@ -0,0 +1,220 @@
+// Voices: what each oscillator slot sounds like
+//
+// Pure sine is the default and the sound of the project; a patch's optional
+// "voices" list gives slots other timbres (later entries override earlier
+// ones; `voice` and `group` pick slots as in mappings):
+//
+//   "voices": [
+//     { "voice": [1, 2], "type": "wavetable", "partials": [1, 0.5, 0.3, 0.2] },
+//     { "voice": 3, "type": "fm", "ratio": 1.5 },
+//     { "voice": 7, "type": "noise", "q": 12 }
+//   ]
+//
+// sine      - an OscillatorNode, as always
+// wavetable - a PeriodicWave built from `partials`, the amplitudes of
+//             harmonics 1, 2, 3...; the `brightness` target fades the upper
+//             ones out (0 leaves only the first: a sine)
+// fm        - two-operator FM: a modulator at `ratio` times the pitch bends
+//             the carrier by `fmIndex` times the modulator's frequency
+// noise     - white noise through a band-pass at the pitch, `q` narrow
+//
+// Every voice has `frequency` and `detune` AudioParams (the pitch, vibrato
+// and detune drive these as they would an OscillatorNode's), an `output`
+// node, start(), stop() and setTimbre(voiceParams, frequency, when).
+
+const VOICE_TYPES = ['sine', 'wavetable', 'fm', 'noise'];
+const DEFAULT_PARTIALS = [1, 0.5, 0.33, 0.25, 0.2, 0.17, 0.14, 0.12]; // a sawtooth's first eight
+const DEFAULT_FM_RATIO = 2;
+const DEFAULT_NOISE_Q = 20;
+const VOICE_TIMBRE_SMOOTHING = 0.1; // seconds (time constant)
+
+// The voice spec for one slot: { type, ...options }
+function getVoiceSpec(patch, voice) {
+    const layout = getVoiceLayout(patch);
+    let spec = { type: 'sine' };
+    
+    (patch.voices || []).forEach(entry => {
+        if (!selectVoices(entry, layout).includes(voice)) return;
+        spec = { ...entry };
+        delete spec.voice;
+        delete spec.group;
+    });
+    
+    return spec;
+}
+
+function validateVoiceSpec(spec, where) {
+    if (!VOICE_TYPES.includes(spec.type)) {
+        throw new Error(`${where}: unknown voice type "${spec.type}"`);
+    }
+    if (spec.partials !== undefined &&
+        (!Array.isArray(spec.partials) || !spec.partials.length || !spec.partials.every(value => typeof value === 'number' && isFinite(value)))) {
+        throw new Error(`${where}: "partials" must be a list of amplitudes`);
+    }
+    if (spec.ratio !== undefined && !(spec.ratio > 0)) {
+        throw new Error(`${where}: "ratio" must be above 0`);
+    }
+    if (spec.q !== undefined && !(spec.q > 0)) {
+        throw new Error(`${where}: "q" must be above 0`);
+    }
+}
+
+function createVoice(ctx, spec, random) {
+    switch (spec.type) {
+        case 'wavetable':
+            return new WavetableVoice(ctx, spec);
+        case 'fm':
+            return new FMVoice(ctx, spec);
+        case 'noise':
+            return new NoiseVoice(ctx, spec, random);
+        default:
+            return new SineVoice(ctx);
+    }
+}
+
+class SineVoice {
+    constructor(ctx) {
+        this.oscillator = ctx.createOscillator();
+        this.oscillator.type = 'sine';
+        this.frequency = this.oscillator.frequency;
+        this.detune = this.oscillator.detune;
+        this.output = this.oscillator;
+    }
+    
+    start() {
+        this.oscillator.start();
+    }
+    
+    stop() {
+        this.oscillator.stop();
+    }
+    
+    setTimbre() {}
+}
+
+class WavetableVoice extends SineVoice {
+    constructor(ctx, spec) {
+        super(ctx);
+        this.ctx = ctx;
+        this.partials = spec.partials || DEFAULT_PARTIALS;
+        this.brightness = null;
+        this.setBrightness(1);
+    }
+    
+    setTimbre(params) {
+        this.setBrightness(params.brightness);
+    }
+    
+    setBrightness(brightness) {
+        // A new wave is only worth building for an audible change
+        const level = Math.round(Math.max(0, Math.min(1, brightness)) * 100) / 100;
+        if (level === this.brightness) return;
+        this.brightness = level;
+        
+        // Harmonic n is scaled by brightness^(n - 1)
+        const real = new Float32Array(this.partials.length + 1);
+        const imag = new Float32Array(this.partials.length + 1);
+        this.partials.forEach((amplitude, i) => {
+            imag[i + 1] = amplitude * Math.pow(level, i);
+        });
+        
+        this.oscillator.setPeriodicWave(this.ctx.createPeriodicWave(real, imag));
+    }
+}
+
+class FMVoice {
+    constructor(ctx, spec) {
+        // One control signal sets the pitch of both operators
+        this.pitch = ctx.createConstantSource();
+        this.carrier = ctx.createOscillator();
+        this.modulator = ctx.createOscillator();
+        this.ratio = ctx.createGain();
+        this.index = ctx.createGain();
+        this.depth = ctx.createGain();
+        
+        this.carrier.frequency.value = 0;
+        this.modulator.frequency.value = 0;
+        this.ratio.gain.value = spec.ratio || DEFAULT_FM_RATIO;
+        this.index.gain.value = 1;
+        this.depth.gain.value = 0;
+        
+        // carrier = pitch + modulator * (index * ratio * pitch)
+        this.pitch.connect(this.carrier.frequency);
+        this.pitch.connect(this.ratio);
+        this.ratio.connect(this.modulator.frequency);
+        this.ratio.connect(this.index);
+        this.index.connect(this.depth.gain);
+        this.modulator.connect(this.depth);
+        this.depth.connect(this.carrier.frequency);
+        
+        this.frequency = this.pitch.offset;
+        this.detune = this.carrier.detune;
+        this.output = this.carrier;
+    }
+    
+    start() {
+        this.pitch.start();
+        this.modulator.start();
+        this.carrier.start();
+    }
+    
+    stop() {
+        this.pitch.stop();
+        this.modulator.stop();
+        this.carrier.stop();
+    }
+    
+    setTimbre(params, frequency, when) {
+        this.index.gain.setTargetAtTime(Math.max(0, params.fmIndex), when, VOICE_TIMBRE_SMOOTHING);
+    }
+}
+
+class NoiseVoice {
+    constructor(ctx, spec, random) {
+        this.sampleRate = ctx.sampleRate;
+        this.q = spec.q || DEFAULT_NOISE_Q;
+        
+        // Two seconds of white noise, looped
+        const length = ctx.sampleRate * 2;
+        const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const channelData = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            channelData[i] = random() * 2 - 1;
+        }
+        
+        this.source = ctx.createBufferSource();
+        this.source.buffer = buffer;
+        this.source.loop = true;
+        
+        this.filter = ctx.createBiquadFilter();
+        this.filter.type = 'bandpass';
+        this.filter.Q.value = this.q;
+        
+        this.level = ctx.createGain();
+        this.level.gain.value = 1;
+        
+        this.source.connect(this.filter);
+        this.filter.connect(this.level);
+        
+        this.frequency = this.filter.frequency;
+        this.detune = this.filter.detune;
+        this.output = this.level;
+    }
+    
+    start() {
+        this.source.start();
+    }
+    
+    stop() {
+        this.source.stop();
+    }
+    
+    setTimbre(params, frequency, when) {
+        // The band passes less of the noise the narrower it is; make that up
+        // to about a sine's level (a band-pass lets through π/2 x f/q of it)
+        const band = Math.PI / 2 * frequency / this.q;
+        const share = Math.min(1, band / (this.sampleRate / 2));
+        const makeup = Math.SQRT1_2 / (Math.sqrt(1 / 3) * Math.sqrt(share));
+        this.level.gain.setTargetAtTime(makeup, when, VOICE_TIMBRE_SMOOTHING);
+    }
+}
@@ -0,0 +1,111 @@
+// WAV file encoding for rendered and recorded audio
+// Supports 16-bit PCM (default), 24-bit PCM and 32-bit IEEE float
+//
+// encodeWAV() turns a whole AudioBuffer into a file. For audio that arrives
+// in pieces (the stem recorder), writeWAVData() encodes each piece and
+// writeWAVHeader() writes the header once the total length is known.
+
+const WAV_BIT_DEPTHS = [16, 24, 32];
+
+// PCM has the plain 44-byte header. Float is a non-PCM format, whose fmt
+// chunk ends in a cbSize field and is followed by a fact chunk (the frame
+// count); strict readers reject float files without them.
+function wavHeaderSize(bitDepth) {
+    return bitDepth === 32 ? 58 : 44;
+}
+
+function encodeWAV(audioBuffer, options = {}) {
+    const bitDepth = options.bitDepth || 16;
+    validateWAVBitDepth(bitDepth);
+    
+    const numChannels = audioBuffer.numberOfChannels;
+    const dataSize = audioBuffer.length * numChannels * bitDepth / 8;
+    
+    const headerSize = wavHeaderSize(bitDepth);
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+    writeWAVHeader(view, numChannels, audioBuffer.sampleRate, bitDepth, dataSize);
+    
+    const channels = [];
+    for (let c = 0; c < numChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+    writeWAVData(view, headerSize, channels, bitDepth);
+    
+    return buffer;
+}
+
+function validateWAVBitDepth(bitDepth) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+}
+
+// The RIFF header (wavHeaderSize() bytes) for `dataSize` bytes of samples
+function writeWAVHeader(view, numChannels, sampleRate, bitDepth, dataSize) {
+    const blockAlign = numChannels * bitDepth / 8;
+    const isFloat = bitDepth === 32;
+    const headerSize = wavHeaderSize(bitDepth);
+    
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, headerSize - 8 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    
+    // fmt chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, isFloat ? 18 : 16, true);
+    view.setUint16(20, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    
+    let offset = 36;
+    if (isFloat) {
+        view.setUint16(offset, 0, true); // cbSize: no extension
+        
+        // fact chunk: frames per channel
+        writeString(view, offset + 2, 'fact');
+        view.setUint32(offset + 6, 4, true);
+        view.setUint32(offset + 10, dataSize / blockAlign, true);
+        offset += 14;
+    }
+    
+    // data chunk
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+}
+
+// Interleaves `channels` (Float32Arrays of the same length) into `view`
+// from `offset`
+function writeWAVData(view, offset, channels, bitDepth) {
+    const bytesPerSample = bitDepth / 8;
+    const numFrames = channels[0].length;
+    
+    for (let i = 0; i < numFrames; i++) {
+        for (let c = 0; c < channels.length; c++) {
+            if (bitDepth === 32) {
+                view.setFloat32(offset, channels[c][i], true);
+            } else {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                if (bitDepth === 24) {
+                    const value = (sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF) | 0;
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                } else {
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                }
+            }
+            offset += bytesPerSample;
+        }
+    }
+}
+
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
@@ -0,0 +1,211 @@
+// Weather providers
+//
+// Every provider turns its backend's response into the same reading:
+//
+// {
+//   temperature,    // °C
+//   humidity,       // %
+//   description,    // e.g. 'light rain'
+//   windSpeed,      // m/s
+//   windDirection,  // degrees the wind blows FROM, clockwise from North
+//   pressure,       // hPa at sea level
+//   cloudCover,     // %
+//   precipitation,  // mm/h
+//   time            // ms since epoch the reading was taken
+// }
+//
+// Fields a backend doesn't report are null.
+//
+// Interface:
+//   fetchReading(latitude, longitude) - resolves to a reading, rejects on failure
+//   needsLocation - false if the provider can be asked before the first GPS fix
+
+class OpenWeatherMapProvider {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.needsLocation = true;
+    }
+    
+    async fetchReading(latitude, longitude) {
+        if (!this.apiKey) {
+            throw new Error('API key needed');
+        }
+        
+        const url = `https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&appid=${encodeURIComponent(this.apiKey)}&units=metric`;
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(response.status === 401 ? 'Invalid API key' : 'Weather fetch failed');
+        }
+        
+        const data = await response.json();
+        const rain = data.rain ? data.rain['1h'] || 0 : 0;
+        const snow = data.snow ? data.snow['1h'] || 0 : 0;
+        
+        return {
+            temperature: data.main.temp,
+            humidity: data.main.humidity,
+            description: data.weather && data.weather[0] ? data.weather[0].description : '',
+            windSpeed: data.wind ? data.wind.speed : null,
+            windDirection: data.wind && data.wind.deg !== undefined ? data.wind.deg : null,
+            pressure: data.main.pressure,
+            cloudCover: data.clouds ? data.clouds.all : null,
+            precipitation: rain + snow,
+            time: data.dt ? data.dt * 1000 : Date.now()
+        };
+    }
+}
+
+// Open-Meteo needs no API key (https://open-meteo.com)
+class OpenMeteoProvider {
+    constructor() {
+        this.needsLocation = true;
+    }
+    
+    async fetchReading(latitude, longitude) {
+        const fields = [
+            'temperature_2m', 'relative_humidity_2m', 'weather_code',
+            'wind_speed_10m', 'wind_direction_10m', 'pressure_msl',
+            'cloud_cover', 'precipitation'
+        ].join(',');
+        const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=${fields}&wind_speed_unit=ms&timeformat=unixtime`;
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error('Weather fetch failed');
+        }
+        
+        const current = (await response.json()).current;
+        if (!current) {
+            throw new Error('Weather fetch failed');
+        }
+        
+        return {
+            temperature: current.temperature_2m,
+            humidity: current.relative_humidity_2m,
+            description: describeWeatherCode(current.weather_code),
+            windSpeed: current.wind_speed_10m,
+            windDirection: current.wind_direction_10m,
+            pressure: current.pressure_msl,
+            cloudCover: current.cloud_cover,
+            precipitation: current.precipitation,
+            time: current.time ? current.time * 1000 : Date.now()
+        };
+    }
+}
+
+// The mock provider's readings when it's given no fixture URL: fair,
+// clouding over, then light rain
+const MOCK_WEATHER_FIXTURE = {
+    readings: [
+        { temperature: 18.5, humidity: 62, description: 'partly cloudy', windSpeed: 3.2, windDirection: 240, pressure: 1016, cloudCover: 40, precipitation: 0 },
+        { temperature: 17.8, humidity: 71, description: 'overcast', windSpeed: 5.6, windDirection: 225, pressure: 1012, cloudCover: 95, precipitation: 0 },
+        { temperature: 16.1, humidity: 88, description: 'light rain', windSpeed: 7.9, windDirection: 210, pressure: 1007, cloudCover: 100, precipitation: 1.4 }
+    ]
+};
+
+// Made-up readings, for developing offline: MOCK_WEATHER_FIXTURE, or a JSON
+// fixture fetched from `url` (which needs the app served over HTTP; file://
+// pages can't fetch). A fixture is either one reading or { "readings": [...] };
+// a list is stepped through one reading per fetch, wrapping at the end, so a
+// handful of entries can simulate the weather changing.
+class MockWeatherProvider {
+    constructor(url = null) {
+        this.url = url;
+        this.readings = null;
+        this.index = 0;
+        this.needsLocation = false;
+    }
+    
+    async fetchReading() {
+        if (!this.readings) {
+            const fixture = this.url ? await this.fetchFixture() : MOCK_WEATHER_FIXTURE;
+            this.readings = Array.isArray(fixture.readings) ? fixture.readings : [fixture];
+            if (this.readings.length === 0) {
+                this.readings = null;
+                throw new Error(`Fixture ${this.url} has no readings`);
+            }
+        }
+        
+        const reading = this.readings[this.index % this.readings.length];
+        this.index++;
+        
+        return { ...normalizeReading(reading), time: Date.now() };
+    }
+    
+    async fetchFixture() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Fixture ${this.url} not found`);
+        }
+        return response.json();
+    }
+}
+
+// Fills in missing fields so every reading has the full shape
+function normalizeReading(reading) {
+    const number = value => typeof value === 'number' && isFinite(value) ? value : null;
+    
+    return {
+        temperature: number(reading.temperature),
+        humidity: number(reading.humidity),
+        description: reading.description || '',
+        windSpeed: number(reading.windSpeed),
+        windDirection: number(reading.windDirection),
+        pressure: number(reading.pressure),
+        cloudCover: number(reading.cloudCover),
+        precipitation: number(reading.precipitation),
+        time: number(reading.time)
+    };
+}
+
+// WMO weather interpretation codes, as used by Open-Meteo
+function describeWeatherCode(code) {
+    const descriptions = {
+        0: 'clear sky',
+        1: 'mainly clear',
+        2: 'partly cloudy',
+        3: 'overcast',
+        45: 'fog',
+        48: 'depositing rime fog',
+        51: 'light drizzle',
+        53: 'drizzle',
+        55: 'dense drizzle',
+        56: 'light freezing drizzle',
+        57: 'freezing drizzle',
+        61: 'light rain',
+        63: 'rain',
+        65: 'heavy rain',
+        66: 'light freezing rain',
+        67: 'freezing rain',
+        71: 'light snow',
+        73: 'snow',
+        75: 'heavy snow',
+        77: 'snow grains',
+        80: 'light rain showers',
+        81: 'rain showers',
+        82: 'violent rain showers',
+        85: 'light snow showers',
+        86: 'snow showers',
+        95: 'thunderstorm',
+        96: 'thunderstorm with hail',
+        99: 'thunderstorm with heavy hail'
+    };
+    return descriptions[code] || '';
+}
+
+// id -> { label, create(settings) }
+const WEATHER_PROVIDERS = {
+    'open-meteo': {
+        label: 'Open-Meteo',
+        create: () => new OpenMeteoProvider()
+    },
+    openweathermap: {
+        label: 'OpenWeatherMap',
+        create: settings => new OpenWeatherMapProvider(settings.apiKey)
+    },
+    mock: {
+        label: 'Mock (made-up readings)',
+        create: () => new MockWeatherProvider()
+    }
+};
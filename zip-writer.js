@@ -0,0 +1,144 @@
+// ZIP archives for downloading several files as one
+//
+// createZip([{ name, parts, crc }]) returns a Blob; each file's `parts` are
+// the ArrayBuffers or typed arrays that make it up, in order, so large files
+// built in pieces (recorded stems) never need joining in memory. A file built
+// up over time can bring its `crc` (see crc32() and crc32Combine()), worked
+// out as the pieces arrived, instead of having it computed all at once. Files are
+// stored without compression - WAV audio hardly compresses anyway - and the
+// archive must stay under 4 GB: there is no ZIP64, so a larger one throws
+// rather than coming out corrupt.
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const ZIP_MAX_OFFSET = 0xFFFFFFFF; // the largest size or offset a 32-bit field holds
+
+// CRC-32 of `parts`, carrying on from the CRC of whatever came before them
+function crc32(parts, previous = 0) {
+    let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+    parts.forEach(part => {
+        const bytes = part instanceof ArrayBuffer
+            ? new Uint8Array(part)
+            : new Uint8Array(part.buffer, part.byteOffset, part.byteLength);
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+    });
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// a x b modulo the CRC-32 polynomial (bit-reversed, as the CRC keeps it)
+function crc32MultiplyModP(a, b) {
+    let m = 0x80000000;
+    let p = 0;
+    for (;;) {
+        if (a & m) {
+            p ^= b;
+            if ((a & (m - 1)) === 0) break;
+        }
+        m >>>= 1;
+        b = b & 1 ? (b >>> 1) ^ 0xEDB88320 : b >>> 1;
+    }
+    return p >>> 0;
+}
+
+// x^(2^n) modulo the polynomial, n = 0-31
+const CRC32_X2N_TABLE = (() => {
+    const table = new Uint32Array(32);
+    let p = 0x40000000; // x^1 (x^0 is the top bit)
+    table[0] = p;
+    for (let n = 1; n < 32; n++) {
+        table[n] = p = crc32MultiplyModP(p, p);
+    }
+    return table;
+})();
+
+// The CRC-32 of A followed by B, from the CRC of each and B's length in
+// bytes, without going over either again (as zlib's crc32_combine)
+function crc32Combine(crcA, crcB, lengthB) {
+    let p = 0x80000000;
+    let k = 3; // bytes to bits
+    for (let n = lengthB; n > 0; n = Math.floor(n / 2), k++) {
+        if (n % 2) p = crc32MultiplyModP(CRC32_X2N_TABLE[k & 31], p);
+    }
+    return (crc32MultiplyModP(p, crcA) ^ crcB) >>> 0;
+}
+
+// `date` is the files' modification time
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    
+    // MS-DOS time and date, as ZIP keeps them
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    
+    const body = [];
+    const directory = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const size = file.parts.reduce((sum, part) => sum + part.byteLength, 0);
+        if (offset + 30 + name.length + size > ZIP_MAX_OFFSET) {
+            throw new Error(`Too much for one ZIP archive: ${file.name} would end past 4 GB`);
+        }
+        const crc = file.crc !== undefined ? file.crc : crc32(file.parts);
+        
+        const local = new DataView(new ArrayBuffer(30 + name.length));
+        local.setUint32(0, 0x04034B50, true); // local file header
+        local.setUint16(4, 20, true); // version needed: 2.0
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        new Uint8Array(local.buffer).set(name, 30);
+        body.push(local.buffer, ...file.parts);
+        
+        const entry = new DataView(new ArrayBuffer(46 + name.length));
+        entry.setUint32(0, 0x02014B50, true); // central directory header
+        entry.setUint16(4, 20, true); // made by
+        entry.setUint16(6, 20, true); // version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        // extra field, comment, disk number and attributes stay 0
+        entry.setUint32(42, offset, true);
+        new Uint8Array(entry.buffer).set(name, 46);
+        directory.push(entry.buffer);
+        
+        offset += local.byteLength + size;
+    });
+    
+    const directorySize = directory.reduce((sum, entry) => sum + entry.byteLength, 0);
+    if (offset + directorySize > ZIP_MAX_OFFSET) {
+        throw new Error('Too much for one ZIP archive: its directory would end past 4 GB');
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // end of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...body, ...directory, end.buffer], { type: 'application/zip' });
+}
@@ -0,0 +1,259 @@
+// Geofenced sound zones
+//
+// Zones are a GeoJSON FeatureCollection. Polygons and MultiPolygons are
+// zones as drawn; a Point with a `radius` (meters) is a circle:
+//
+// {
+//   "type": "FeatureCollection",
+//   "features": [
+//     {
+//       "type": "Feature",
+//       "properties": { "name": "Park", "preset": ["minor", "cathedral"], "fade": 6 },
+//       "geometry": { "type": "Polygon", "coordinates": [[[-0.16, 51.50], ...]] }
+//     },
+//     {
+//       "type": "Feature",
+//       "properties": {
+//         "name": "Bridge", "radius": 40,
+//         "layers": [{ "type": "drone", "ratio": 0.5, "gain": 0.04 }]
+//       },
+//       "geometry": { "type": "Point", "coordinates": [-0.12, 51.51] }
+//     }
+//   ]
+// }
+//
+// Properties:
+// name       - shown in the UI
+// preset     - name or list of names from ZONE_PRESETS
+// params     - parameter overrides by patch target name, e.g. { "wet": 0.9 };
+//              per-voice targets apply to every voice
+// chordMap   - a chord map (see chord-map.js) that replaces the active one
+// layers     - extra sounds: { "type": "drone", "ratio": 0.5, "gain": 0.04 }
+//              (ratio of the fundamental, or a fixed "frequency" in Hz;
+//              optional "waveform", default 'sine')
+// fade       - seconds to crossfade in and out (default ZONE_FADE)
+// hysteresis - meters outside the edge before the zone is left (default
+//              ZONE_HYSTERESIS), so GPS jitter at the edge doesn't flap
+// priority   - where zones overlap, higher priorities apply last and win
+//
+// Explicit params, chordMap and layers add to (and override) the presets'.
+
+const ZONE_FADE = 4; // seconds
+const ZONE_HYSTERESIS = 15; // meters
+const ZONE_LAYER_TYPES = ['drone'];
+
+const ZONE_PRESETS = {
+    minor: {
+        chordMap: {
+            name: 'Minor',
+            interpolation: 'linear',
+            anchors: [
+                { heading: 0, label: 'N', chord: [1.0, 1.2, 1.5] },            // minor
+                { heading: 90, label: 'E', chord: [1.0, 1.2, 1.5, 1.6667] },   // minor 6
+                { heading: 180, label: 'S', chord: [1.0, 1.2, 1.4] },          // diminished-ish
+                { heading: 270, label: 'W', chord: [1.0, 1.2, 1.5, 1.8] }      // minor 7
+            ]
+        }
+    },
+    cathedral: {
+        params: { wet: 0.9, dry: 0.35, reverbDecay: 7 }
+    },
+    muffled: {
+        params: { tone: 1500, noiseGain: 0 }
+    },
+    drone: {
+        layers: [{ type: 'drone', ratio: 0.5, gain: 0.03 }]
+    }
+};
+
+function parseZones(geojson) {
+    const collection = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+    const features = collection && collection.type === 'FeatureCollection' ? collection.features
+        : collection && collection.type === 'Feature' ? [collection]
+        : null;
+    if (!Array.isArray(features)) {
+        throw new Error('Zones must be a GeoJSON FeatureCollection');
+    }
+    
+    const zones = features
+        .filter(feature => feature && feature.geometry)
+        .map((feature, i) => createZone(feature, i));
+    if (!zones.length) {
+        throw new Error('No polygons or circles found');
+    }
+    
+    // Overlapping zones apply in priority order
+    zones.sort((a, b) => a.priority - b.priority);
+    return zones;
+}
+
+function createZone(feature, index) {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry;
+    const name = properties.name || `Zone ${index + 1}`;
+    
+    const zone = {
+        name,
+        priority: Number(properties.priority) || 0,
+        fade: typeof properties.fade === 'number' && properties.fade >= 0 ? properties.fade : ZONE_FADE,
+        hysteresis: typeof properties.hysteresis === 'number' && properties.hysteresis >= 0
+            ? properties.hysteresis : ZONE_HYSTERESIS,
+        params: {},
+        chordMap: null,
+        layers: []
+    };
+    
+    if (geometry.type === 'Polygon') {
+        zone.polygons = [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+        zone.polygons = geometry.coordinates;
+    } else if (geometry.type === 'Point') {
+        if (!(properties.radius > 0)) {
+            throw new Error(`${name}: a Point zone needs a "radius" in meters`);
+        }
+        zone.center = { longitude: geometry.coordinates[0], latitude: geometry.coordinates[1] };
+        zone.radius = properties.radius;
+    } else {
+        throw new Error(`${name}: unsupported geometry "${geometry.type}"`);
+    }
+    
+    // Presets first, then the zone's own settings on top
+    const presets = properties.preset === undefined ? [] : [].concat(properties.preset);
+    presets.forEach(preset => {
+        if (!ZONE_PRESETS[preset]) throw new Error(`${name}: unknown preset "${preset}"`);
+        applyZoneSettings(zone, ZONE_PRESETS[preset]);
+    });
+    applyZoneSettings(zone, properties);
+    
+    Object.keys(zone.params).forEach(target => {
+        if (!PATCH_TARGETS[target] || target === 'frequency') {
+            throw new Error(`${name}: unknown parameter "${target}"`);
+        }
+        if (typeof zone.params[target] !== 'number' || !isFinite(zone.params[target])) {
+            throw new Error(`${name}: "${target}" must be a number`);
+        }
+    });
+    zone.layers.forEach(layer => {
+        if (!ZONE_LAYER_TYPES.includes(layer.type)) {
+            throw new Error(`${name}: unknown layer type "${layer.type}"`);
+        }
+        if (!(layer.ratio > 0) && !(layer.frequency > 0)) {
+            throw new Error(`${name}: a drone needs a "ratio" or "frequency"`);
+        }
+    });
+    if (zone.chordMap) {
+        zone.chordMap = validateChordMap(cloneChordMap(zone.chordMap));
+    }
+    
+    return zone;
+}
+
+function applyZoneSettings(zone, settings) {
+    if (settings.params) Object.assign(zone.params, settings.params);
+    if (settings.chordMap) zone.chordMap = settings.chordMap;
+    if (Array.isArray(settings.layers)) zone.layers = zone.layers.concat(settings.layers);
+}
+
+// Signed distance in meters from the zone's edge: negative inside
+function zoneDistance(zone, latitude, longitude) {
+    if (zone.center) {
+        return haversineDistance(latitude, longitude, zone.center.latitude, zone.center.longitude) - zone.radius;
+    }
+    
+    // Flat projection around the point; plenty for walking-sized zones
+    const metersPerDegree = EARTH_RADIUS * Math.PI / 180;
+    const scaleX = metersPerDegree * Math.cos(toRadians(latitude));
+    const project = ([lon, lat]) => [(lon - longitude) * scaleX, (lat - latitude) * metersPerDegree];
+    
+    let inside = false;
+    let nearest = Infinity;
+    
+    zone.polygons.forEach(rings => {
+        // The outer ring, minus any holes
+        const inRings = rings.map(ring => {
+            const points = ring.map(project);
+            let crossings = false;
+            
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i];
+                const [xj, yj] = points[j];
+                
+                if ((yi > 0) !== (yj > 0) && (xj - xi) * -yi / (yj - yi) + xi > 0) {
+                    crossings = !crossings;
+                }
+                nearest = Math.min(nearest, distanceToSegment(xi, yi, xj, yj));
+            }
+            return crossings;
+        });
+        
+        if (inRings[0] && !inRings.slice(1).some(hole => hole)) {
+            inside = true;
+        }
+    });
+    
+    return inside ? -nearest : nearest;
+}
+
+// Distance from the origin to the segment (x1, y1)-(x2, y2)
+function distanceToSegment(x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSquared)) : 0;
+    return Math.hypot(x1 + t * dx, y1 + t * dy);
+}
+
+// Which zones the listener is in, and how far each has faded in (0-1).
+// Times are audio-clock seconds, so fades line up with the sound both live
+// and when rendering offline.
+class ZoneTracker {
+    constructor(zones = []) {
+        this.zones = zones;
+        this.reset();
+    }
+    
+    reset() {
+        // Per zone: inside or not, and the fade since the last change
+        this.states = this.zones.map(() => ({ inside: false, from: 0, changedAt: -Infinity }));
+    }
+    
+    // Returns true when any zone was entered or left
+    update(latitude, longitude, time) {
+        let changed = false;
+        
+        this.zones.forEach((zone, i) => {
+            const state = this.states[i];
+            
+            const distance = zoneDistance(zone, latitude, longitude);
+            const inside = state.inside ? distance <= zone.hysteresis : distance <= 0;
+            
+            if (inside !== state.inside) {
+                state.from = this.weight(i, time);
+                state.inside = inside;
+                state.changedAt = time;
+                changed = true;
+            }
+        });
+        
+        return changed;
+    }
+    
+    weight(index, time) {
+        const zone = this.zones[index];
+        const state = this.states[index];
+        const target = state.inside ? 1 : 0;
+        
+        const progress = zone.fade > 0 ? (time - state.changedAt) / zone.fade : 1;
+        if (progress >= 1) return target;
+        return state.from + (target - state.from) * Math.max(0, progress);
+    }
+    
+    isFading(time) {
+        return this.zones.some((zone, i) => time - this.states[i].changedAt < zone.fade);
+    }
+    
+    // Zones the listener is in, in priority order
+    get activeZones() {
+        return this.zones.filter((zone, i) => this.states[i].inside);
+    }
+}